@@ -0,0 +1,155 @@
+/**
+ * API keys — authentication, per-key rate limits and concurrency quotas.
+ *
+ * Keys are read from a JSON config file that only holds SHA-256 hashes:
+ *
+ *   { "keys": [
+ *     { "name": "alice", "hash": "sha256:9f86d0…",
+ *       "rateLimit": { "requests": 30, "windowSeconds": 60 }, "maxConcurrent": 2, "admin": false }
+ *   ] }
+ *
+ * rateLimit and maxConcurrent are optional and fall back to the server-wide
+ * defaults. The file is re-read when it changes, so keys can be added or revoked
+ * without a restart. Authentication is off only while there is no keys file.
+ * A file that does not parse or has an invalid entry fails startup; on a
+ * reload, it (or the file going away) keeps the last good set of keys.
+ *
+ * Create a key (prints the key once, and the entry to paste into the file):
+ *   node lib/auth.js new <name>
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { createLogger } = require('./log');
+
+function hashKey(key) {
+  return `sha256:${crypto.createHash('sha256').update(key).digest('hex')}`;
+}
+
+function generateKey() {
+  return `rs_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+function createAuth({ file, defaults, log = createLogger() }) {
+  let keys = new Map();
+  // Set once a keys file has loaded; from then on every request needs a key
+  let configured = false;
+  // name → { hits: timestamps inside the current window, active: requests in flight }
+  const usage = new Map();
+
+  // Parse and check the keys file; throws on any problem
+  function readKeys() {
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(config?.keys)) throw new Error('expected an object with a "keys" array');
+    const next = new Map();
+    for (const [i, k] of config.keys.entries()) {
+      if (typeof k?.name !== 'string' || !/^sha256:[0-9a-f]{64}$/.test(k.hash)) {
+        throw new Error(`keys[${i}] needs a name and a sha256:<hex> hash`);
+      }
+      next.set(k.hash, {
+        name: k.name,
+        admin: k.admin === true,
+        rateLimit: {
+          requests: k.rateLimit?.requests ?? defaults.requests,
+          windowSeconds: k.rateLimit?.windowSeconds ?? defaults.windowSeconds,
+        },
+        maxConcurrent: k.maxConcurrent ?? defaults.maxConcurrent,
+      });
+    }
+    return next;
+  }
+
+  function reload() {
+    try {
+      keys = readKeys();
+      configured = true;
+      log.info('Loaded API keys', { file, keys: keys.size });
+    } catch (err) {
+      log.error('Could not reload API keys, keeping the last good set', { file, error: err.code || err.message });
+    }
+  }
+
+  try {
+    keys = readKeys();
+    configured = true;
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw new Error(`Could not load API keys from ${file}: ${err.message}`);
+  }
+  fs.watchFile(file, { interval: 2000, persistent: false }, reload);
+
+  function usageFor(key) {
+    if (!usage.has(key.name)) usage.set(key.name, { hits: [], active: 0 });
+    return usage.get(key.name);
+  }
+
+  // The key entry for a presented secret, or null
+  function authenticate(secret) {
+    return typeof secret === 'string' ? keys.get(hashKey(secret)) || null : null;
+  }
+
+  // Count one request against the key's sliding-window rate limit.
+  // Returns { ok, limit, remaining, resetSeconds }.
+  function hit(key) {
+    const u = usageFor(key);
+    const windowMs = key.rateLimit.windowSeconds * 1000;
+    const now = Date.now();
+    while (u.hits.length && u.hits[0] <= now - windowMs) u.hits.shift();
+    const ok = u.hits.length < key.rateLimit.requests;
+    if (ok) u.hits.push(now);
+    return {
+      ok,
+      limit: key.rateLimit.requests,
+      remaining: key.rateLimit.requests - u.hits.length,
+      resetSeconds: u.hits.length ? Math.ceil((u.hits[0] + windowMs - now) / 1000) : 0,
+    };
+  }
+
+  // Take one of the key's concurrency slots. Returns a release function (safe to
+  // call more than once), or null when the key already has maxConcurrent running.
+  function acquire(key) {
+    const u = usageFor(key);
+    if (u.active >= key.maxConcurrent) return null;
+    u.active++;
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      u.active--;
+    };
+  }
+
+  function status(key) {
+    const u = usageFor(key);
+    const since = Date.now() - key.rateLimit.windowSeconds * 1000;
+    return {
+      name: key.name,
+      admin: key.admin,
+      rateLimit: key.rateLimit,
+      maxConcurrent: key.maxConcurrent,
+      usage: { requestsInWindow: u.hits.filter(t => t > since).length, active: u.active },
+    };
+  }
+
+  return {
+    get enabled() { return configured; },
+    get keyCount() { return keys.size; },
+    reload,
+    authenticate,
+    hit,
+    acquire,
+    status,
+  };
+}
+
+module.exports = { createAuth, hashKey, generateKey };
+
+if (require.main === module) {
+  const [command, name] = process.argv.slice(2);
+  if (command !== 'new' || !name) {
+    console.error('Usage: node lib/auth.js new <name>');
+    process.exit(1);
+  }
+  const key = generateKey();
+  console.log(`API key for "${name}" (shown only once):\n\n  ${key}\n`);
+  console.log(`Add this entry to "keys" in your API keys file:\n\n  ${JSON.stringify({ name, hash: hashKey(key) })}\n`);
+}
@@ -0,0 +1,75 @@
+/**
+ * Prompt budgeting — fitting source text into a model's context window.
+ *
+ * Token counts are estimated from character counts (no tokenizer is loaded);
+ * CHARS_PER_TOKEN errs on the side of overestimating for English prose.
+ *
+ * The tokens left for sources are shared out with max-min fairness: a source
+ * that needs less than its share keeps all of its text, and what it leaves
+ * over goes to the rest. Shares are weighted by how relevant each source looks
+ * to the topic, so an on-topic source keeps more of its text than one that
+ * barely touches it.
+ */
+
+const CHARS_PER_TOKEN = 3.5;
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'was', 'were', 'what', 'which', 'who', 'how', 'why', 'when', 'where', 'does', 'did',
+  'with', 'from', 'that', 'this', 'these', 'those', 'into', 'about', 'than', 'then', 'there', 'their', 'its',
+  'has', 'have', 'had', 'can', 'could', 'should', 'would', 'will', 'not', 'but', 'all', 'any', 'our', 'your',
+]);
+
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+// Lowercased words with accents stripped
+function wordsOf(text) {
+  return String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').split(/[^a-z0-9]+/);
+}
+
+// Share of the topic's terms that appear in the text, 0–1. Terms match word
+// prefixes, so "pump" also counts "pumps". null when there is no topic.
+function topicRelevance(text, topic) {
+  const terms = [...new Set(wordsOf(topic).filter(w => w.length > 2 && !STOPWORDS.has(w)))];
+  if (!terms.length) return null;
+  const words = new Set(wordsOf(text));
+  const found = terms.filter(t => words.has(t) || [...words].some(w => w.startsWith(t)));
+  return found.length / terms.length;
+}
+
+// Split `budget` among items that each need needs[i], in proportion to
+// weights[i]. No item gets more than it needs. Returns the allocations.
+function shareBudget(needs, weights, budget) {
+  const alloc = needs.map(() => 0);
+  let open = needs.map((_, i) => i);
+  let remaining = Math.max(budget, 0);
+  while (open.length) {
+    const totalWeight = open.reduce((sum, i) => sum + weights[i], 0);
+    const share = i => remaining * (weights[i] / totalWeight);
+    const satisfied = open.filter(i => needs[i] <= share(i));
+    if (!satisfied.length) {
+      for (const i of open) alloc[i] = Math.floor(share(i));
+      break;
+    }
+    for (const i of satisfied) {
+      alloc[i] = needs[i];
+      remaining -= needs[i];
+    }
+    open = open.filter(i => !satisfied.includes(i));
+  }
+  return alloc;
+}
+
+// Cut text down to about `tokens` tokens, at a paragraph or sentence break
+// where there is one in the last fifth
+function trimToTokens(text, tokens) {
+  const limit = Math.floor(tokens * CHARS_PER_TOKEN);
+  if (text.length <= limit) return text;
+  const head = text.slice(0, limit);
+  const floor = limit * 0.8;
+  const cut = [head.lastIndexOf('\n\n'), head.lastIndexOf('. ') + 1].find(i => i >= floor);
+  return head.slice(0, cut ?? limit).trim();
+}
+
+module.exports = { CHARS_PER_TOKEN, estimateTokens, topicRelevance, shareBudget, trimToTokens };
@@ -0,0 +1,115 @@
+/**
+ * Content cache — on-disk store for fetched URL text and LLM responses.
+ *
+ * Entries live under <dir>/<namespace>/<sha256 of key>.json. Entries older
+ * than the TTL are reported as stale rather than dropped, so URL entries can
+ * still be revalidated with their ETag / Last-Modified; expired files are swept
+ * periodically.
+ *
+ * Namespaces in use: "url" (extracted text + metadata) and "llm" (raw model
+ * output keyed by prompt, model and options).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createLogger } = require('./log');
+
+const NAMESPACES = ['url', 'llm'];
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(typeof key === 'string' ? key : JSON.stringify(key)).digest('hex');
+}
+
+function createCache({ dir, ttlMs, sweepMs = 60 * 60 * 1000, log = createLogger() }) {
+  const counters = Object.fromEntries(NAMESPACES.map(ns => [ns, { hits: 0, misses: 0 }]));
+  for (const ns of NAMESPACES) fs.mkdirSync(path.join(dir, ns), { recursive: true });
+
+  const fileFor = (ns, key) => path.join(dir, ns, `${hashKey(key)}.json`);
+
+  // Resolves with { value, meta, storedAt, fresh } or null when nothing is stored
+  async function get(ns, key) {
+    try {
+      const entry = JSON.parse(await fs.promises.readFile(fileFor(ns, key), 'utf8'));
+      return { ...entry, fresh: Date.now() - entry.storedAt < ttlMs };
+    } catch {
+      return null;
+    }
+  }
+
+  async function set(ns, key, value, meta = {}) {
+    const file = fileFor(ns, key);
+    const data = JSON.stringify({ storedAt: Date.now(), value, meta });
+    // One temp file per write: the same key can be written twice at once
+    const tmp = `${file}.${process.pid}.${crypto.randomUUID()}.tmp`;
+    try {
+      await fs.promises.writeFile(tmp, data);
+      await fs.promises.rename(tmp, file);
+    } catch (err) {
+      log.error('Failed to write cache entry', { namespace: ns, error: err.message });
+      await fs.promises.unlink(tmp).catch(() => {});
+    }
+  }
+
+  // Mark a stale entry as fresh again (e.g. after a 304 Not Modified)
+  async function touch(ns, key) {
+    const entry = await get(ns, key);
+    if (entry) await set(ns, key, entry.value, entry.meta);
+  }
+
+  function record(ns, hit) {
+    counters[ns][hit ? 'hits' : 'misses']++;
+  }
+
+  async function listFiles(ns) {
+    const nsDir = path.join(dir, ns);
+    const names = await fs.promises.readdir(nsDir).catch(() => []);
+    return names.filter(n => n.endsWith('.json')).map(n => path.join(nsDir, n));
+  }
+
+  async function stats() {
+    const namespaces = {};
+    for (const ns of NAMESPACES) {
+      let bytes = 0;
+      let stale = 0;
+      const files = await listFiles(ns);
+      for (const file of files) {
+        const stat = await fs.promises.stat(file).catch(() => null);
+        if (!stat) continue;
+        bytes += stat.size;
+        if (Date.now() - stat.mtimeMs >= ttlMs) stale++;
+      }
+      namespaces[ns] = { entries: files.length, stale, bytes, ...counters[ns] };
+    }
+    return { ttlSeconds: Math.round(ttlMs / 1000), namespaces };
+  }
+
+  // Delete every entry in one namespace, or in all of them. Returns the count.
+  async function clear(ns) {
+    let deleted = 0;
+    for (const name of ns ? [ns] : NAMESPACES) {
+      for (const file of await listFiles(name)) {
+        await fs.promises.unlink(file).then(() => deleted++, () => {});
+      }
+    }
+    return deleted;
+  }
+
+  // Remove entries well past their TTL. URL entries are kept for twice the TTL
+  // so they still have a chance to be revalidated instead of refetched.
+  async function sweep() {
+    for (const ns of NAMESPACES) {
+      const maxAge = ns === 'url' ? ttlMs * 2 : ttlMs;
+      for (const file of await listFiles(ns)) {
+        const stat = await fs.promises.stat(file).catch(() => null);
+        if (stat && Date.now() - stat.mtimeMs > maxAge) await fs.promises.unlink(file).catch(() => {});
+      }
+    }
+  }
+  sweep();
+  setInterval(sweep, sweepMs).unref();
+
+  return { get, set, touch, record, stats, clear, namespaces: NAMESPACES };
+}
+
+module.exports = { createCache };
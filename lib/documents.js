@@ -0,0 +1,130 @@
+/**
+ * Document text extraction — PDF, DOCX, Markdown and plain text.
+ *
+ * Used for `file` sources (base64 uploads) and for `url` sources that point at
+ * a document rather than an HTML page. The format is taken from the MIME type,
+ * then the file extension, then the file's leading bytes.
+ */
+
+// pdf-parse's index.js runs a self-test when required without a parent module
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const mammoth = require('mammoth');
+
+const MIME_TYPES = {
+  'application/pdf': 'pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'text/markdown': 'markdown',
+  'text/x-markdown': 'markdown',
+  'text/plain': 'text',
+};
+
+const EXTENSIONS = {
+  pdf: 'pdf',
+  docx: 'docx',
+  md: 'markdown',
+  markdown: 'markdown',
+  txt: 'text',
+  text: 'text',
+};
+
+function detectFormat(buffer, { filename = '', mimeType = '' } = {}) {
+  const mime = mimeType.split(';')[0].trim().toLowerCase();
+  if (MIME_TYPES[mime]) return MIME_TYPES[mime];
+  const ext = filename.toLowerCase().split('.').pop();
+  if (EXTENSIONS[ext]) return EXTENSIONS[ext];
+  if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') return 'pdf';
+  // DOCX files are zip archives ("PK\x03\x04")
+  if (buffer.subarray(0, 4).toString('latin1') === 'PK\x03\x04') return 'docx';
+  return null;
+}
+
+// True for binary document formats. The filename only counts when the server
+// sent no useful content-type (missing or application/octet-stream).
+function isDocument(mimeType = '', filename = '') {
+  const mime = mimeType.split(';')[0].trim().toLowerCase();
+  const generic = !mime || mime === 'application/octet-stream';
+  const format = detectFormat(Buffer.alloc(0), generic ? { filename } : { mimeType: mime });
+  return format === 'pdf' || format === 'docx';
+}
+
+function stripMarkdown(md) {
+  return md
+    .replace(/```[\s\S]*?```/g, m => m.replace(/```\w*/g, ''))
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/^#{1,6}\s+/gm, '')
+    .replace(/^\s*>\s?/gm, '')
+    .replace(/^\s*[-*+]\s+/gm, '- ')
+    .replace(/(\*\*|__)(.*?)\1/g, '$2')
+    .replace(/(^|\W)[*_]([^*_\n]+)[*_](?=\W|$)/g, '$1$2')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// pdf.js (inside pdf-parse) reports malformed PDFs with console.log ("Warning:
+// Indexing all PDF objects"), and the in-process worker pdf-parse runs it with
+// never gets a lower verbosity. Send those lines to stderr while PDFs are being
+// parsed, so stdout stays one JSON log object per line.
+let pdfsParsing = 0;
+let consoleLog = null;
+
+async function parsePdf(buffer) {
+  if (pdfsParsing++ === 0) {
+    consoleLog = console.log;
+    console.log = console.error;
+  }
+  try {
+    // pdf.js reads the whole ArrayBuffer behind the view, and small Buffers
+    // share a pool with other data: give it a copy that starts at byte 0
+    return await pdfParse(new Uint8Array(buffer));
+  } finally {
+    if (--pdfsParsing === 0) console.log = consoleLog;
+  }
+}
+
+// PDF dates look like "D:20230415123000+02'00'"
+function pdfDate(value) {
+  const m = /^D:(\d{4})(\d{2})?(\d{2})?/.exec(value || '');
+  return m ? [m[1], m[2], m[3]].filter(Boolean).join('-') : null;
+}
+
+async function extractDocument(buffer, { filename, mimeType } = {}) {
+  const format = detectFormat(buffer, { filename, mimeType });
+  let text;
+  let info = {};
+  switch (format) {
+    case 'pdf': {
+      const pdf = await parsePdf(buffer);
+      text = pdf.text;
+      info = pdf.info || {};
+      break;
+    }
+    case 'docx':
+      text = (await mammoth.extractRawText({ buffer })).value;
+      break;
+    case 'markdown':
+      text = stripMarkdown(buffer.toString('utf8'));
+      break;
+    case 'text':
+      text = buffer.toString('utf8');
+      break;
+    default:
+      throw new Error(`Unsupported file type${filename ? ` for ${filename}` : ''}${mimeType ? ` (${mimeType})` : ''}`);
+  }
+  text = text.replace(/[ \t]+/g, ' ').replace(/\n\s*\n\s*/g, '\n\n').trim();
+  if (!text) throw new Error(`No extractable text in ${format.toUpperCase()} document`);
+  return {
+    text,
+    format,
+    metadata: {
+      title: info.Title?.trim() || null,
+      author: info.Author?.trim() || null,
+      publishedDate: pdfDate(info.CreationDate),
+      canonicalUrl: null,
+      siteName: null,
+    },
+  };
+}
+
+module.exports = { extractDocument, detectFormat, isDocument };
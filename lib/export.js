@@ -0,0 +1,254 @@
+/**
+ * Export — renders a synthesis result (or a project, which has the same fields)
+ * as something other than JSON.
+ *
+ *   markdown — a report for wikis and docs
+ *   html     — a standalone report page with inline styles
+ *   bibtex   — one @online / @misc entry per source
+ *   csl-json — the same entries as CSL-JSON, for Zotero, Pandoc and citeproc
+ *
+ * Sources are numbered [S1], [S2], ... after their id, in every format. Only
+ * http(s) source URLs are rendered as links.
+ */
+
+const FORMATS = {
+  markdown: { mimeType: 'text/markdown', extension: 'md', render: renderMarkdown },
+  html: { mimeType: 'text/html', extension: 'html', render: renderHtml },
+  bibtex: { mimeType: 'application/x-bibtex', extension: 'bib', render: renderBibtex },
+  'csl-json': { mimeType: 'application/vnd.citationstyles.csl+json', extension: 'json', render: renderCslJson },
+};
+
+// Ids in a result passed to POST /export come from the caller; anything but an
+// integer is shown as "S?"
+const ref = id => `S${Number.isInteger(id) ? id + 1 : '?'}`;
+
+function reportTitle(result, title) {
+  return title || (result.topic ? `Research Synthesis: ${result.topic}` : 'Research Synthesis');
+}
+
+// "2024-03-01T10:00:00Z" → [2024, 3, 1]; null when no year can be found
+function dateParts(value) {
+  const m = String(value || '').match(/^(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?/);
+  return m ? m.slice(1).filter(Boolean).map(Number) : null;
+}
+
+function splitAuthors(author) {
+  return author ? author.split(/\s*(?:;|&|\band\b)\s*/).filter(Boolean) : [];
+}
+
+function sourceTitle(s) {
+  return s.metadata?.title || s.label;
+}
+
+// The source URL when it is safe to link to (http or https), otherwise null
+function linkUrl(url) {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol) ? url : null;
+  } catch {
+    return null;
+  }
+}
+
+// Results passed to POST /export come from the caller: a claim may be a bare
+// string or lack citations
+function claimList(claims) {
+  return (Array.isArray(claims) ? claims : []).map(c => (typeof c === 'string'
+    ? { point: c, citations: [] }
+    : { point: String(c?.point ?? ''), citations: (Array.isArray(c?.citations) ? c.citations : []).filter(q => q && typeof q === 'object') }));
+}
+
+const themeList = themes => (Array.isArray(themes) ? themes : []);
+
+function summaryLine(result) {
+  const parts = [`${result.sources?.length ?? 0} sources`];
+  if (result.depth) parts.push(`${result.depth} depth`);
+  if (typeof result.confidence === 'number') parts.push(`confidence ${Math.round(result.confidence * 100)}%`);
+  if (result.llm) parts.push(`${result.llm.provider} / ${result.llm.model}`);
+  return parts.join(' · ');
+}
+
+// ─── Markdown ─────────────────────────────────────────────────────────────────
+
+function mdEscape(text) {
+  return String(text).replace(/([\\`*_[\]<>|])/g, '\\$1');
+}
+
+// Percent-encode the characters that would end a Markdown link target early
+function mdUrl(url) {
+  return url.replace(/[()\s]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+}
+
+function mdClaims(claims) {
+  return claimList(claims).map((c, i) => {
+    const refs = [...new Set(c.citations.map(q => `[${ref(q.sourceId)}]`))].join('');
+    const quotes = c.citations.map(q =>
+      `   > “${mdEscape(q.quote)}” — [${ref(q.sourceId)}]${q.verified ? '' : ' *(quote not found in source)*'}`);
+    return [`${i + 1}. ${mdEscape(c.point)} ${refs}`, ...quotes].join('\n');
+  }).join('\n');
+}
+
+function renderMarkdown(result, { title } = {}) {
+  const out = [`# ${mdEscape(reportTitle(result, title))}`, '', `*${summaryLine(result)}*`, ''];
+  out.push('## Synthesis', '', result.synthesis || '*No synthesis.*', '');
+  if (themeList(result.keyThemes).length) {
+    out.push('## Key Themes', '', ...result.keyThemes.map(t => `- ${mdEscape(t)}`), '');
+  }
+  if (claimList(result.consensus).length) out.push('## Consensus', '', mdClaims(result.consensus), '');
+  if (claimList(result.contradictions).length) out.push('## Contradictions', '', mdClaims(result.contradictions), '');
+
+  out.push('## Sources', '');
+  for (const s of result.sources || []) {
+    const url = linkUrl(s.url);
+    const name = url ? `[${mdEscape(sourceTitle(s))}](${mdUrl(url)})` : mdEscape(sourceTitle(s));
+    const details = [s.metadata?.author, s.metadata?.siteName, s.metadata?.publishedDate].filter(Boolean).map(mdEscape);
+    out.push(`- **[${ref(s.id)}]** ${name}${details.length ? ` — ${details.join(', ')}` : ''}`);
+    if (s.error) out.push(`  *Could not be loaded: ${mdEscape(s.error)}*`);
+    else out.push(`  *Quality: ${s.quality}.* ${mdEscape(s.summary)}`);
+  }
+  if (result.validation?.defaultedFields?.length) {
+    out.push('', `> **Note:** these fields were filled in with defaults, not produced by the model: ${result.validation.defaultedFields.join(', ')}`);
+  }
+  return `${out.join('\n').trim()}\n`;
+}
+
+// ─── HTML ─────────────────────────────────────────────────────────────────────
+
+function esc(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function htmlClaims(claims) {
+  return `<ol>${claimList(claims).map(c => `<li>${esc(c.point)}${c.citations.map(q =>
+    `<blockquote${q.verified ? '' : ' class="unverified"'}>“${esc(q.quote)}” — <a href="#${esc(ref(q.sourceId))}">[${esc(ref(q.sourceId))}]</a>${
+      q.verified ? '' : ' <em>(quote not found in source)</em>'}</blockquote>`).join('')}</li>`).join('')}</ol>`;
+}
+
+function renderHtml(result, { title } = {}) {
+  const heading = reportTitle(result, title);
+  const paragraphs = String(result.synthesis || '').split(/\n\s*\n/).filter(Boolean).map(p => `<p>${esc(p)}</p>`).join('');
+  const sources = (result.sources || []).map(s => {
+    const url = linkUrl(s.url);
+    const name = url ? `<a href="${esc(url)}">${esc(sourceTitle(s))}</a>` : esc(sourceTitle(s));
+    const details = [s.metadata?.author, s.metadata?.siteName, s.metadata?.publishedDate].filter(Boolean).map(esc);
+    const body = s.error
+      ? `<em>Could not be loaded: ${esc(s.error)}</em>`
+      : `<span class="quality ${esc(s.quality)}">${esc(s.quality)}</span> ${esc(s.summary)}`;
+    return `<li id="${esc(ref(s.id))}"><strong>[${esc(ref(s.id))}]</strong> ${name}${details.length ? ` — ${details.join(', ')}` : ''}<br>${body}</li>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${esc(heading)}</title>
+  <style>
+    body { font-family: Georgia, 'Times New Roman', serif; max-width: 46rem; margin: 2rem auto; padding: 0 1rem; color: #222; line-height: 1.6; }
+    h1 { font-size: 1.7rem; margin-bottom: 0.2rem; }
+    h2 { font-size: 1.2rem; margin-top: 2rem; border-bottom: 1px solid #ddd; }
+    .meta { color: #666; font-style: italic; }
+    blockquote { margin: 0.3rem 0 0.3rem 1rem; padding-left: 0.8rem; border-left: 3px solid #ccc; color: #555; font-size: 0.92rem; }
+    blockquote.unverified { border-left-color: #d9822b; }
+    .themes li { display: inline-block; margin: 0 0.4rem 0.4rem 0; padding: 0.1rem 0.6rem; border: 1px solid #ccc; border-radius: 1rem; font-size: 0.9rem; }
+    .themes { padding: 0; }
+    .sources li { margin-bottom: 0.8rem; }
+    .quality { font-size: 0.75rem; text-transform: uppercase; padding: 0 0.4rem; border-radius: 3px; background: #eee; }
+    .quality.high { background: #dff3e4; } .quality.low { background: #f9e0e0; }
+    .note { color: #8a5a00; background: #fff6e0; padding: 0.5rem 0.8rem; }
+  </style>
+</head>
+<body>
+  <h1>${esc(heading)}</h1>
+  <p class="meta">${esc(summaryLine(result))}</p>
+  <h2>Synthesis</h2>
+  ${paragraphs || '<p><em>No synthesis.</em></p>'}
+  ${themeList(result.keyThemes).length ? `<h2>Key Themes</h2><ul class="themes">${result.keyThemes.map(t => `<li>${esc(t)}</li>`).join('')}</ul>` : ''}
+  ${claimList(result.consensus).length ? `<h2>Consensus</h2>${htmlClaims(result.consensus)}` : ''}
+  ${claimList(result.contradictions).length ? `<h2>Contradictions</h2>${htmlClaims(result.contradictions)}` : ''}
+  <h2>Sources</h2>
+  <ul class="sources">${sources}</ul>
+  ${result.validation?.defaultedFields?.length
+    ? `<p class="note">These fields were filled in with defaults, not produced by the model: ${esc(result.validation.defaultedFields.join(', '))}</p>`
+    : ''}
+</body>
+</html>
+`;
+}
+
+// ─── Bibliography ─────────────────────────────────────────────────────────────
+
+// Citation keys look like doe2024solar; duplicates get a, b, c suffixes
+function citationKeys(sources) {
+  const seen = new Map();
+  return sources.map(s => {
+    const author = splitAuthors(s.metadata?.author)[0]?.split(/[\s,]+/).filter(Boolean);
+    const name = (s.metadata?.author?.includes(',') ? author?.[0] : author?.at(-1)) || '';
+    const year = dateParts(s.metadata?.publishedDate)?.[0] || '';
+    const word = sourceTitle(s).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+      .split(/\W+/).find(w => w.length > 3) || '';
+    // Without author or year, the source number keeps keys such as "report3" apart
+    const base = name || year ? `${name}${year}${word}` : `${word || 'source'}${s.id + 1}`;
+    let key = base.toLowerCase().normalize('NFD').replace(/[^a-z0-9]/g, '');
+    const n = seen.get(key) || 0;
+    seen.set(key, n + 1);
+    if (n) key += String.fromCharCode(96 + n);
+    return key;
+  });
+}
+
+const BIB_SPECIAL = { '\\': '\\textbackslash{}', '~': '\\textasciitilde{}', '^': '\\textasciicircum{}' };
+
+function bibEscape(text) {
+  return String(text).replace(/[\\~^{}&%$#_]/g, c => BIB_SPECIAL[c] || `\\${c}`);
+}
+
+// Only sources that loaded are cited
+const citable = result => (result.sources || []).filter(s => !s.error);
+
+function renderBibtex(result) {
+  const sources = citable(result);
+  const keys = citationKeys(sources);
+  return sources.map((s, i) => {
+    const m = s.metadata || {};
+    const date = dateParts(m.publishedDate);
+    const fields = [
+      ['title', `{${bibEscape(sourceTitle(s))}}`],
+      ['author', splitAuthors(m.author).map(bibEscape).join(' and ')],
+      ['year', date?.[0]],
+      ['date', date?.length > 1 && m.publishedDate.slice(0, 10)],
+      ['organization', m.siteName && bibEscape(m.siteName)],
+      ['url', m.canonicalUrl || s.url],
+      ['note', s.filename && `File: ${bibEscape(s.filename)}`],
+    ].filter(([, value]) => value);
+    const type = s.url ? 'online' : 'misc';
+    return `@${type}{${keys[i]},\n${fields.map(([k, v]) => `  ${k} = {${v}}`).join(',\n')}\n}\n`;
+  }).join('\n');
+}
+
+function cslName(name) {
+  if (name.includes(',')) {
+    const [family, given] = name.split(/,\s*/);
+    return { family, given };
+  }
+  const parts = name.split(/\s+/);
+  return parts.length > 1 ? { family: parts.pop(), given: parts.join(' ') } : { literal: name };
+}
+
+function renderCslJson(result) {
+  const sources = citable(result);
+  const keys = citationKeys(sources);
+  const items = sources.map((s, i) => {
+    const m = s.metadata || {};
+    const date = dateParts(m.publishedDate);
+    const item = { id: keys[i], type: s.url ? 'webpage' : 'document', title: sourceTitle(s) };
+    const authors = splitAuthors(m.author);
+    if (authors.length) item.author = authors.map(cslName);
+    if (date) item.issued = { 'date-parts': [date] };
+    if (m.siteName) item['container-title'] = m.siteName;
+    if (m.canonicalUrl || s.url) item.URL = m.canonicalUrl || s.url;
+    if (s.summary) item.abstract = s.summary;
+    return item;
+  });
+  return `${JSON.stringify(items, null, 2)}\n`;
+}
+
+module.exports = { FORMATS, renderMarkdown, renderHtml, renderBibtex, renderCslJson };
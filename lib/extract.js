@@ -0,0 +1,107 @@
+/**
+ * HTML extraction — main article text plus page metadata.
+ *
+ * Parses the page into a DOM, runs Mozilla Readability to find the main content
+ * (dropping navigation, cookie banners, comments and sidebars), and flattens it
+ * to text that keeps headings and paragraph breaks. Entities are decoded by the
+ * parser. Falls back to the whole <body> when Readability finds no article.
+ */
+
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { Readability } = require('@mozilla/readability');
+
+const BLOCK_TAGS = new Set([
+  'P', 'DIV', 'SECTION', 'ARTICLE', 'BLOCKQUOTE', 'PRE', 'TABLE', 'TR', 'UL', 'OL', 'DL', 'FIGURE', 'FIGCAPTION', 'BR', 'HR',
+]);
+
+// Flatten a DOM subtree to text: headings become "## Heading", list items "- item",
+// block elements are separated by blank lines.
+function domToText(root) {
+  const out = [];
+  const walk = node => {
+    if (node.nodeType === 3) {
+      out.push(node.textContent.replace(/\s+/g, ' '));
+      return;
+    }
+    if (node.nodeType !== 1) return;
+    const tag = node.tagName;
+    if (['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG'].includes(tag)) return;
+    const heading = /^H([1-6])$/.exec(tag);
+    if (heading) {
+      out.push(`\n\n${'#'.repeat(Number(heading[1]))} ${node.textContent.replace(/\s+/g, ' ').trim()}\n\n`);
+      return;
+    }
+    if (tag === 'LI') out.push('\n- ');
+    else if (BLOCK_TAGS.has(tag)) out.push('\n\n');
+    node.childNodes.forEach(walk);
+    if (BLOCK_TAGS.has(tag)) out.push('\n\n');
+  };
+  root.childNodes.forEach(walk);
+  return out.join('')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n[ \t]+/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function meta(doc, ...selectors) {
+  for (const sel of selectors) {
+    const el = doc.querySelector(sel);
+    const value = el?.getAttribute('content') || el?.getAttribute('href') || el?.getAttribute('datetime');
+    if (value?.trim()) return value.trim();
+  }
+  return null;
+}
+
+// schema.org Article data, which many news sites only publish as JSON-LD
+function jsonLd(doc) {
+  for (const el of doc.querySelectorAll('script[type="application/ld+json"]')) {
+    try {
+      const data = JSON.parse(el.textContent);
+      const items = [data, ...(Array.isArray(data) ? data : []), ...(data['@graph'] || [])];
+      const article = items.find(d => d && (d.datePublished || d.author));
+      if (article) return article;
+    } catch {}
+  }
+  return {};
+}
+
+function absoluteUrl(href, base) {
+  if (!href) return null;
+  try { return new URL(href, base).href; } catch { return null; }
+}
+
+function extractHtml(html, url) {
+  const dom = new JSDOM(html, { url, virtualConsole: new VirtualConsole() });
+  const doc = dom.window.document;
+
+  const ld = jsonLd(doc);
+  const ldAuthor = [].concat(ld.author || []).map(a => (typeof a === 'string' ? a : a?.name)).filter(Boolean).join(', ');
+  const metadata = {
+    title: meta(doc, 'meta[property="og:title"]', 'meta[name="twitter:title"]') || ld.headline || null,
+    author: meta(doc, 'meta[name="author"]', 'meta[property="article:author"]') || ldAuthor || null,
+    publishedDate: meta(doc, 'meta[property="article:published_time"]', 'meta[name="date"]', 'meta[itemprop="datePublished"]', 'time[datetime]')
+      || ld.datePublished || null,
+    canonicalUrl: absoluteUrl(meta(doc, 'link[rel="canonical"]', 'meta[property="og:url"]'), url) || url || null,
+    siteName: meta(doc, 'meta[property="og:site_name"]') || null,
+  };
+
+  // Readability mutates the document it is given, so hand it a copy
+  let article = null;
+  try {
+    article = new Readability(doc.cloneNode(true)).parse();
+  } catch {}
+
+  metadata.title = metadata.title || article?.title || doc.title?.trim() || null;
+  metadata.author = metadata.author || article?.byline || null;
+  metadata.publishedDate = metadata.publishedDate || article?.publishedTime || null;
+
+  const text = article?.content
+    ? domToText(JSDOM.fragment(article.content))
+    : domToText(doc.body || doc.documentElement);
+  dom.window.close();
+
+  return { text, metadata };
+}
+
+module.exports = { extractHtml };
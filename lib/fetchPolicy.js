@@ -0,0 +1,165 @@
+/**
+ * Fetch policy — guards URL sources against SSRF and oversized responses.
+ *
+ * Every hop (the original URL and each redirect) is checked before it is
+ * requested:
+ *   - only http: and https: URLs
+ *   - optional domain allow/deny lists (a domain also matches its subdomains)
+ *   - the hostname is resolved and rejected if any address is loopback, private,
+ *     link-local, CGNAT, multicast or otherwise not publicly routable
+ * The connection itself resolves the hostname again through the same check, so
+ * a host that answers the first lookup with a public address and the second
+ * with a private one (DNS rebinding) is still blocked.
+ * Response bodies are read with a byte cap and the download is dropped as soon
+ * as it is exceeded.
+ *
+ * Policy violations throw an Error whose message starts with "Blocked:".
+ */
+
+const dns = require('dns');
+const net = require('net');
+const { Agent, fetch } = require('undici');
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Separate lists: a BlockList also matches IPv4 addresses against IPv4-mapped
+// IPv6 ranges, and ::ffff:0:0/96 would otherwise cover every IPv4 address
+const nonPublicV4 = new net.BlockList();
+const nonPublicV6 = new net.BlockList();
+for (const [addr, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4],
+]) nonPublicV4.addSubnet(addr, prefix, 'ipv4');
+for (const [addr, prefix] of [
+  ['::', 128], ['::1', 128], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) nonPublicV6.addSubnet(addr, prefix, 'ipv6');
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return family === 6 ? !nonPublicV6.check(address, 'ipv6') : !nonPublicV4.check(address, 'ipv4');
+}
+
+function matchesDomain(hostname, domains) {
+  return domains.some(d => hostname === d || hostname.endsWith(`.${d}`));
+}
+
+function createFetchPolicy({
+  allowPrivate = false,
+  allowDomains = [],
+  denyDomains = [],
+  maxBytes = 10 * 1024 * 1024,
+  maxRedirects = 5,
+  lookup = dns.lookup,
+} = {}) {
+  allowDomains = allowDomains.map(d => d.toLowerCase().replace(/\.$/, ''));
+  denyDomains = denyDomains.map(d => d.toLowerCase().replace(/\.$/, ''));
+
+  const lookupAll = hostname => new Promise((resolve, reject) => {
+    lookup(hostname, { all: true }, (err, addresses) => (err ? reject(err) : resolve(addresses)));
+  });
+
+  // The lookup connections are made with (net.connect's `lookup` option):
+  // fails with a "Blocked:" error when any address is not public, so the
+  // address connected to is always one that passed the check
+  function connectLookup(hostname, options, callback) {
+    lookup(hostname, { ...options, all: true }, (err, addresses) => {
+      if (err) return callback(err);
+      const bad = addresses.find(a => !isPublicAddress(a.address));
+      if (bad) {
+        return callback(new Error(`Blocked: ${hostname} resolves to ${bad.address}, which is not a public address`));
+      }
+      if (options.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  }
+
+  const dispatcher = allowPrivate ? undefined : new Agent({ connect: { lookup: connectLookup } });
+
+  async function checkUrl(raw) {
+    let url;
+    try {
+      url = new URL(raw);
+    } catch {
+      throw new Error(`Blocked: invalid URL "${raw}"`);
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new Error(`Blocked: ${url.protocol} URLs are not allowed (http and https only)`);
+    }
+    // "example.com." is the fully qualified form of "example.com"
+    const hostname = url.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+    if (matchesDomain(hostname, denyDomains)) {
+      throw new Error(`Blocked: ${hostname} is on the domain deny list`);
+    }
+    if (allowDomains.length && !matchesDomain(hostname, allowDomains)) {
+      throw new Error(`Blocked: ${hostname} is not on the domain allow list`);
+    }
+    if (allowPrivate) return url;
+
+    let addresses;
+    if (net.isIP(hostname)) {
+      addresses = [hostname];
+    } else {
+      try {
+        addresses = (await lookupAll(hostname)).map(a => a.address);
+      } catch (err) {
+        throw new Error(`DNS lookup failed for ${hostname}: ${err.code || err.message}`);
+      }
+    }
+    const bad = addresses.find(a => !isPublicAddress(a));
+    if (bad) {
+      throw new Error(`Blocked: ${hostname} resolves to ${bad}, which is not a public address`);
+    }
+    return url;
+  }
+
+  async function readBody(res, url) {
+    const declared = Number(res.headers.get('content-length'));
+    if (declared > maxBytes) {
+      await res.body?.cancel();
+      throw new Error(`Blocked: response from ${url} is ${declared} bytes (limit ${maxBytes})`);
+    }
+    const chunks = [];
+    let total = 0;
+    for await (const chunk of res.body || []) {
+      total += chunk.length;
+      if (total > maxBytes) {
+        throw new Error(`Blocked: response from ${url} exceeds ${maxBytes} bytes`);
+      }
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  // GET a URL under the policy, following redirects by hand so each hop is
+  // checked. Resolves with { status, ok, headers, url (after redirects), body };
+  // body is only read for 2xx responses.
+  async function policyFetch(raw, { signal, headers } = {}) {
+    let url = await checkUrl(raw);
+    for (let hop = 0; ; hop++) {
+      let res;
+      try {
+        res = await fetch(url, { signal, headers, redirect: 'manual', dispatcher });
+      } catch (err) {
+        // fetch wraps connection errors in a TypeError("fetch failed")
+        if (err.cause?.message?.startsWith('Blocked:')) throw err.cause;
+        throw err;
+      }
+      const location = res.headers.get('location');
+      if (!REDIRECT_STATUSES.includes(res.status) || !location) {
+        if (!res.ok) await res.body?.cancel();
+        const body = res.ok ? await readBody(res, url.href) : Buffer.alloc(0);
+        return { status: res.status, ok: res.ok, headers: res.headers, url: url.href, body };
+      }
+      await res.body?.cancel();
+      if (hop >= maxRedirects) throw new Error(`Too many redirects (more than ${maxRedirects}) fetching ${raw}`);
+      url = await checkUrl(new URL(location, url).href);
+    }
+  }
+
+  return { fetch: policyFetch, checkUrl, maxBytes };
+}
+
+module.exports = { createFetchPolicy, isPublicAddress };
@@ -0,0 +1,130 @@
+/**
+ * Job store — asynchronous synthesis runs with results persisted to disk.
+ *
+ * Each job is kept in memory and mirrored to <dir>/<id>.json on every status
+ * change, so finished results survive a restart. Jobs that were still queued or
+ * running when the process stopped are marked failed on the next start.
+ *
+ * Statuses: queued → running → completed | failed | cancelled
+ */
+
+const crypto = require('crypto');
+const { createLogger } = require('./log');
+const { createJsonStore } = require('./jsonStore');
+
+const ACTIVE = ['queued', 'running'];
+
+function createJobStore({ dir, run, maxJobs = 200, log = createLogger() }) {
+  const jobs = new Map();
+  const controllers = new Map();
+  const store = createJsonStore({ dir, name: 'job', log });
+
+  for (const job of store.loadAll()) {
+    if (ACTIVE.includes(job.status)) {
+      Object.assign(job, {
+        status: 'failed',
+        error: { error: 'Interrupted by server restart' },
+        finishedAt: new Date().toISOString(),
+      });
+      save(job);
+    }
+    jobs.set(job.id, job);
+  }
+
+  function save(job) {
+    const { stage, ...stored } = job;
+    return store.save(job.id, stored);
+  }
+
+  function remove(id) {
+    jobs.delete(id);
+    return store.remove(id);
+  }
+
+  function prune() {
+    const finished = [...jobs.values()]
+      .filter(j => !ACTIVE.includes(j.status))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    while (jobs.size > maxJobs && finished.length) remove(finished.shift().id);
+  }
+
+  // owner: name of the API key that created the job (null without auth).
+  // onSettled: called once the job finishes, fails or is cancelled.
+  function create(request, { owner = null, onSettled = () => {} } = {}) {
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      owner,
+      request,
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+    };
+    jobs.set(job.id, job);
+    save(job);
+    prune();
+
+    const controller = new AbortController();
+    controllers.set(job.id, controller);
+    // Lines the run logs carry the job id
+    setImmediate(() => log.withContext({ jobId: job.id }, async () => {
+      if (controller.signal.aborted) return onSettled();
+      Object.assign(job, { status: 'running', startedAt: new Date().toISOString() });
+      save(job);
+      try {
+        const result = await run(request, {
+          signal: controller.signal,
+          onEvent: (event, data) => { if (event === 'progress') job.stage = data.stage; },
+        });
+        if (!controller.signal.aborted) Object.assign(job, { status: 'completed', result });
+      } catch (err) {
+        if (!controller.signal.aborted) {
+          Object.assign(job, { status: 'failed', error: err.body || { error: err.message } });
+          log.warn('Job failed', { status: err.status, error: job.error.error });
+        }
+      }
+      controllers.delete(job.id);
+      onSettled();
+      if (controller.signal.aborted) return;
+      delete job.stage;
+      job.finishedAt = new Date().toISOString();
+      save(job);
+    }));
+    return job;
+  }
+
+  function get(id) {
+    return jobs.get(id) || null;
+  }
+
+  // Most recent jobs first; pass an owner to only list that owner's jobs
+  function list(limit = 20, owner) {
+    return [...jobs.values()]
+      .filter(j => owner === undefined || j.owner === owner)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit);
+  }
+
+  // Aborts a queued or running job (including its in-flight Ollama request).
+  // Finished jobs are deleted instead. Returns the job, or null if unknown.
+  async function cancel(id) {
+    const job = jobs.get(id);
+    if (!job) return null;
+    if (!ACTIVE.includes(job.status)) {
+      await remove(id);
+      return job;
+    }
+    controllers.get(id)?.abort();
+    controllers.delete(id);
+    delete job.stage;
+    Object.assign(job, { status: 'cancelled', finishedAt: new Date().toISOString() });
+    await save(job);
+    return job;
+  }
+
+  return { create, get, list, cancel };
+}
+
+module.exports = { createJobStore };
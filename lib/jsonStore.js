@@ -0,0 +1,58 @@
+/**
+ * JSON file store — one <dir>/<id>.json file per record, shared by the job and
+ * project stores.
+ *
+ * Writes for one id run one at a time, in the order they were requested, and
+ * go through a temp file and a rename so a crash never leaves a half-written
+ * file. A failed write is logged rather than thrown; the in-memory copy the
+ * caller keeps stays the source of truth.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./log');
+
+// `name` ("job", "project") labels the log lines of failed writes
+function createJsonStore({ dir, name, log = createLogger() }) {
+  const writes = new Map();
+  const fileFor = id => path.join(dir, `${id}.json`);
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  // Every stored record; files that can't be read or parsed are skipped
+  function loadAll() {
+    const records = [];
+    for (const file of fs.readdirSync(dir)) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        records.push(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+      } catch {}
+    }
+    return records;
+  }
+
+  function queueWrite(id, fn) {
+    const next = (writes.get(id) || Promise.resolve()).then(fn).catch(err =>
+      log.error(`Failed to write ${name}`, { [`${name}Id`]: id, error: err.message }));
+    writes.set(id, next);
+    next.then(() => { if (writes.get(id) === next) writes.delete(id); });
+    return next;
+  }
+
+  function save(id, record) {
+    const file = fileFor(id);
+    const data = JSON.stringify(record);
+    return queueWrite(id, async () => {
+      await fs.promises.writeFile(`${file}.tmp`, data);
+      await fs.promises.rename(`${file}.tmp`, file);
+    });
+  }
+
+  function remove(id) {
+    return queueWrite(id, () => fs.promises.unlink(fileFor(id)).catch(() => {}));
+  }
+
+  return { loadAll, save, remove };
+}
+
+module.exports = { createJsonStore };
@@ -0,0 +1,47 @@
+/**
+ * Structured logging — one JSON object per line on stdout:
+ *
+ *   {"time":"…","level":"info","msg":"Request completed","requestId":"…","status":200,…}
+ *
+ * Fields passed to withContext() are added to every line logged inside the
+ * callback, including from async work it starts (an HTTP request's id follows
+ * its fetches, model calls and background job). LOG_LEVEL picks the lowest
+ * level written: debug, info (default), warn, error or silent.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const context = new AsyncLocalStorage();
+
+// Errors don't survive JSON.stringify; keep their message (and HTTP status)
+function serialize(value) {
+  if (!(value instanceof Error)) return value;
+  return { message: value.message, ...(value.status && { status: value.status }) };
+}
+
+function createLogger({ level = 'info', stream = process.stdout } = {}) {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+
+  function write(lvl, msg, extra = {}) {
+    if (LEVELS[lvl] < threshold) return;
+    const entry = { time: new Date().toISOString(), level: lvl, msg, ...context.getStore() };
+    for (const [k, v] of Object.entries(extra)) {
+      if (v !== undefined) entry[k] = serialize(v);
+    }
+    stream.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  return {
+    level,
+    debug: (msg, extra) => write('debug', msg, extra),
+    info: (msg, extra) => write('info', msg, extra),
+    warn: (msg, extra) => write('warn', msg, extra),
+    error: (msg, extra) => write('error', msg, extra),
+    // Run fn with `more` added to every line logged while it (and whatever it starts) runs
+    withContext: (more, fn) => context.run({ ...context.getStore(), ...more }, fn),
+  };
+}
+
+module.exports = { createLogger, LEVELS };
@@ -0,0 +1,94 @@
+/**
+ * Metrics — counters and histograms rendered in the Prometheus text exposition
+ * format for GET /metrics.
+ *
+ *   const metrics = createMetrics({ prefix: 'research_synth_' });
+ *   const requests = metrics.counter('http_requests_total', 'HTTP requests', ['route', 'status']);
+ *   requests.inc({ route: '/synthesize', status: 200 });
+ *   const latency = metrics.histogram('fetch_duration_seconds', 'URL fetch latency', ['status'], [0.1, 1, 10]);
+ *   latency.observe({ status: 200 }, 0.42);
+ *
+ * Every label named when the metric is registered must be passed on each update.
+ */
+
+// Seconds, for latencies from a few milliseconds to several minutes of inference
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+const TOKEN_BUCKETS = [16, 64, 256, 512, 1024, 2048, 4096, 8192, 16384, 32768];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function labelString(names, values, extra = []) {
+  const pairs = [...names.map((n, i) => [n, values[i]]), ...extra];
+  return pairs.length ? `{${pairs.map(([n, v]) => `${n}="${escapeLabel(v)}"`).join(',')}}` : '';
+}
+
+function createMetrics({ prefix = '' } = {}) {
+  const registered = [];
+
+  function register(type, name, help, labelNames) {
+    const series = new Map();
+    const metric = { type, name: prefix + name, help, labelNames, series };
+    registered.push(metric);
+    // One entry per distinct combination of label values
+    metric.seriesFor = (labels = {}, init) => {
+      const values = labelNames.map(n => String(labels[n] ?? ''));
+      const key = values.join('\u0000');
+      if (!series.has(key)) series.set(key, { values, ...init() });
+      return series.get(key);
+    };
+    return metric;
+  }
+
+  function counter(name, help, labelNames = []) {
+    const metric = register('counter', name, help, labelNames);
+    return {
+      inc(labels, by = 1) {
+        metric.seriesFor(labels, () => ({ value: 0 })).value += by;
+      },
+    };
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+    const metric = register('histogram', name, help, labelNames);
+    metric.buckets = buckets;
+    return {
+      observe(labels, value) {
+        const s = metric.seriesFor(labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+        buckets.forEach((le, i) => { if (value <= le) s.counts[i]++; });
+        s.sum += value;
+        s.count++;
+      },
+      // Starts a timer; call the returned function with the labels to observe the elapsed seconds
+      startTimer() {
+        const started = process.hrtime.bigint();
+        return labels => this.observe(labels, Number(process.hrtime.bigint() - started) / 1e9);
+      },
+    };
+  }
+
+  function render() {
+    const lines = [];
+    for (const m of registered) {
+      lines.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`);
+      for (const s of m.series.values()) {
+        if (m.type === 'counter') {
+          lines.push(`${m.name}${labelString(m.labelNames, s.values)} ${s.value}`);
+          continue;
+        }
+        m.buckets.forEach((le, i) => {
+          lines.push(`${m.name}_bucket${labelString(m.labelNames, s.values, [['le', le]])} ${s.counts[i]}`);
+        });
+        lines.push(`${m.name}_bucket${labelString(m.labelNames, s.values, [['le', '+Inf']])} ${s.count}`);
+        lines.push(`${m.name}_sum${labelString(m.labelNames, s.values)} ${s.sum}`);
+        lines.push(`${m.name}_count${labelString(m.labelNames, s.values)} ${s.count}`);
+      }
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  return { counter, histogram, render, contentType: 'text/plain; version=0.0.4; charset=utf-8' };
+}
+
+module.exports = { createMetrics, DURATION_BUCKETS, TOKEN_BUCKETS };
@@ -0,0 +1,115 @@
+/**
+ * Project store — named syntheses that grow as sources are added over time.
+ *
+ * Each project is kept in memory and mirrored to <dir>/<id>.json. Alongside the
+ * current synthesis it stores every source's (condensed) text, so quotes can be
+ * re-verified on later updates, and a history entry per revision with the diff
+ * that revision made.
+ *
+ * Consensus and contradiction points carry a stable `id` ("c1", "c2", ...), which
+ * is how a point is followed across revisions — including from consensus to
+ * contradictions and back.
+ */
+
+const crypto = require('crypto');
+const { createLogger } = require('./log');
+const { createJsonStore } = require('./jsonStore');
+
+function createProjectStore({ dir, log = createLogger() }) {
+  const projects = new Map();
+  const store = createJsonStore({ dir, name: 'project', log });
+
+  for (const project of store.loadAll()) projects.set(project.id, project);
+
+  function save(project) {
+    return store.save(project.id, project);
+  }
+
+  async function create(fields) {
+    const now = new Date().toISOString();
+    const project = { id: crypto.randomUUID(), ...fields, createdAt: now, updatedAt: now };
+    projects.set(project.id, project);
+    await save(project);
+    return project;
+  }
+
+  function get(id) {
+    return projects.get(id) || null;
+  }
+
+  // Most recently updated first; pass an owner to only list that owner's projects
+  function list(owner) {
+    return [...projects.values()]
+      .filter(p => owner === undefined || p.owner === owner)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  async function update(id, fields) {
+    const project = projects.get(id);
+    if (!project) return null;
+    Object.assign(project, fields, { updatedAt: new Date().toISOString() });
+    await save(project);
+    return project;
+  }
+
+  async function remove(id) {
+    const project = projects.get(id);
+    if (!project) return null;
+    projects.delete(id);
+    await store.remove(id);
+    return project;
+  }
+
+  return { create, get, list, update, remove };
+}
+
+// ─── Diff ─────────────────────────────────────────────────────────────────────
+
+const normalize = s => String(s).toLowerCase().replace(/\s+/g, ' ').trim();
+
+function citedSources(claim) {
+  return [...new Set(claim.citations.map(c => c.sourceId))].sort((a, b) => a - b);
+}
+
+// What changed between two revisions of a project's synthesis. Points are
+// matched by id, themes by their normalized text.
+function diffSyntheses(before, after) {
+  const themesBefore = new Set(before.keyThemes.map(normalize));
+  const themesAfter = new Set(after.keyThemes.map(normalize));
+
+  const lists = ['consensus', 'contradictions'];
+  const locate = state => new Map(lists.flatMap(list => state[list].map(c => [c.id, { list, claim: c }])));
+  const was = locate(before);
+  const now = locate(after);
+
+  const diff = {
+    keyThemes: {
+      added: after.keyThemes.filter(t => !themesBefore.has(normalize(t))),
+      removed: before.keyThemes.filter(t => !themesAfter.has(normalize(t))),
+    },
+    consensus: { added: [], removed: [], updated: [] },
+    contradictions: { added: [], removed: [], updated: [] },
+    movedToContradictions: [],
+    movedToConsensus: [],
+    synthesisChanged: before.synthesis !== after.synthesis,
+    confidence: { before: before.confidence, after: after.confidence },
+  };
+
+  for (const [id, { list, claim }] of now) {
+    const prev = was.get(id);
+    if (!prev) {
+      diff[list].added.push(claim);
+    } else if (prev.list !== list) {
+      diff[list === 'contradictions' ? 'movedToContradictions' : 'movedToConsensus'].push({ id, before: prev.claim, after: claim });
+    } else if (normalize(prev.claim.point) !== normalize(claim.point)
+      || citedSources(prev.claim).join() !== citedSources(claim).join()) {
+      diff[list].updated.push({ id, before: prev.claim, after: claim });
+    }
+  }
+  for (const [id, { list, claim }] of was) {
+    if (!now.has(id)) diff[list].removed.push(claim);
+  }
+  return diff;
+}
+
+module.exports = { createProjectStore, diffSyntheses };
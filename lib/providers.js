@@ -0,0 +1,298 @@
+/**
+ * LLM providers — one interface over several inference backends.
+ *
+ *   ollama — Ollama's /api/generate (the default)
+ *   openai — any OpenAI-compatible /chat/completions server
+ *            (llama.cpp server, vLLM, LM Studio, ...)
+ *   mock   — deterministic offline responses, for tests
+ *
+ * Every provider exposes:
+ *   generate({ system, prompt, model, temperature, maxTokens, contextTokens, format, onToken, onUsage, signal }) → text
+ *   contextLength(model, { signal }) → number | null   (the model's context window, if the backend reports it)
+ *   health({ signal }) → { models: string[] }   (throws when unreachable)
+ *
+ * `format` is a JSON Schema the output should follow; `onToken` switches to the
+ * backend's streaming API and is called with each piece of text as it arrives.
+ * `onUsage` is called once with { promptTokens, responseTokens } when the backend
+ * reports token counts. `contextTokens` is the context window to run the model
+ * with, on backends that let the caller choose it (Ollama's num_ctx).
+ */
+
+// Feed a fetch() body to onLine one line at a time
+async function readLines(body, onLine) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach(onLine);
+  }
+  onLine(buffer + decoder.decode());
+}
+
+// ─── Ollama ───────────────────────────────────────────────────────────────────
+
+function createOllamaProvider({ url, defaultModel, models }) {
+  return {
+    name: 'ollama',
+    url,
+    defaultModel,
+    models,
+
+    async generate({ system, prompt, model, temperature, maxTokens, contextTokens, format, onToken, onUsage, signal }) {
+      // The final object carries the token counts
+      const usage = data => {
+        if (data.done && data.eval_count !== undefined) {
+          onUsage?.({ promptTokens: data.prompt_eval_count ?? 0, responseTokens: data.eval_count });
+        }
+      };
+      const res = await fetch(`${url}/api/generate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          model,
+          prompt,
+          system,
+          stream: !!onToken,
+          format,
+          options: { temperature, num_predict: maxTokens, num_ctx: contextTokens },
+        }),
+        signal,
+      });
+      if (!res.ok) throw new Error(`Ollama error: ${res.status}`);
+      if (!onToken) {
+        const data = await res.json();
+        usage(data);
+        return data.response?.trim() || '';
+      }
+
+      // Streaming responses are newline-delimited JSON objects
+      let response = '';
+      await readLines(res.body, line => {
+        if (!line.trim()) return;
+        const data = JSON.parse(line);
+        if (data.error) throw new Error(`Ollama error: ${data.error}`);
+        if (data.response) {
+          response += data.response;
+          onToken(data.response);
+        }
+        usage(data);
+      });
+      return response.trim();
+    },
+
+    // From /api/show's model_info, e.g. "qwen3.context_length": 40960
+    async contextLength(model, { signal } = {}) {
+      const res = await fetch(`${url}/api/show`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model, name: model }),
+        signal,
+      });
+      if (!res.ok) throw new Error(`Ollama error: ${res.status}`);
+      const info = (await res.json()).model_info || {};
+      const key = Object.keys(info).find(k => k.endsWith('.context_length'));
+      return Number.isInteger(info[key]) ? info[key] : null;
+    },
+
+    async health({ signal } = {}) {
+      const res = await fetch(`${url}/api/tags`, { signal });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const data = await res.json();
+      return { models: (data.models || []).map(m => m.name) };
+    },
+  };
+}
+
+// ─── OpenAI-compatible ────────────────────────────────────────────────────────
+
+function createOpenAIProvider({ url, apiKey, defaultModel, models }) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+  return {
+    name: 'openai',
+    url,
+    defaultModel,
+    models,
+
+    async generate({ system, prompt, model, temperature, maxTokens, format, onToken, onUsage, signal }) {
+      const usage = data => {
+        if (data.usage) onUsage?.({ promptTokens: data.usage.prompt_tokens ?? 0, responseTokens: data.usage.completion_tokens ?? 0 });
+      };
+      const res = await fetch(`${url}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model,
+          messages: [
+            { role: 'system', content: system },
+            { role: 'user', content: prompt },
+          ],
+          temperature,
+          max_tokens: maxTokens,
+          stream: !!onToken,
+          stream_options: onToken ? { include_usage: true } : undefined,
+          response_format: format
+            ? { type: 'json_schema', json_schema: { name: format.title || 'response', schema: format } }
+            : undefined,
+        }),
+        signal,
+      });
+      if (!res.ok) throw new Error(`OpenAI-compatible backend error: ${res.status}`);
+      if (!onToken) {
+        const data = await res.json();
+        usage(data);
+        return data.choices?.[0]?.message?.content?.trim() || '';
+      }
+
+      // Streaming responses are SSE: "data: {...}" lines, ending with "data: [DONE]"
+      let response = '';
+      await readLines(res.body, line => {
+        if (!line.startsWith('data:')) return;
+        const payload = line.slice(5).trim();
+        if (!payload || payload === '[DONE]') return;
+        const data = JSON.parse(payload);
+        if (data.error) throw new Error(`OpenAI-compatible backend error: ${data.error.message || data.error}`);
+        const token = data.choices?.[0]?.delta?.content;
+        if (token) {
+          response += token;
+          onToken(token);
+        }
+        // Servers that support it send usage in a last chunk with no choices
+        usage(data);
+      });
+      return response.trim();
+    },
+
+    // vLLM lists max_model_len with each model; other servers may not say
+    async contextLength(model, { signal } = {}) {
+      const res = await fetch(`${url}/models`, { headers, signal });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const entry = ((await res.json()).data || []).find(m => m.id === model);
+      return Number.isInteger(entry?.max_model_len) ? entry.max_model_len : null;
+    },
+
+    async health({ signal } = {}) {
+      const res = await fetch(`${url}/models`, { headers, signal });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const data = await res.json();
+      return { models: (data.data || []).map(m => m.id) };
+    },
+  };
+}
+
+// ─── Mock ─────────────────────────────────────────────────────────────────────
+
+// Pull the "--- SOURCE n (id: k): label ---" blocks back out of a synthesis prompt
+function sourcesInPrompt(prompt) {
+  const re = /--- SOURCE \d+ \(id: (\d+)\): (.*?) ---\n([\s\S]*?)(?=\n--- SOURCE |\n\n[A-Z][A-Za-z ]+:?\n|$)/g;
+  return [...prompt.matchAll(re)].map(m => ({ id: Number(m[1]), label: m[2], text: m[3].trim() }));
+}
+
+// Build a minimal instance of a JSON Schema. Arrays whose items carry an `id` or
+// `sourceId` get one entry per source, with quotes (`quote` fields and `quotes`
+// items) taken verbatim from that source.
+function sampleSchema(schema, sources, source = sources[0], key = '') {
+  if (schema.enum) return schema.enum[0];
+  switch (schema.type) {
+    case 'object':
+      return Object.fromEntries(Object.entries(schema.properties || {})
+        .map(([k, s]) => [k, sampleSchema(s, sources, source, k)]));
+    case 'array': {
+      const props = schema.items?.properties || {};
+      if ((props.id || props.sourceId) && sources.length) {
+        return sources.map(s => sampleSchema(schema.items, sources, s));
+      }
+      return Array.from({ length: Math.max(schema.minItems || 0, 1) }, () => sampleSchema(schema.items || {}, sources, source, key));
+    }
+    case 'integer':
+      return (key === 'id' || key === 'sourceId') && source ? source.id : (schema.minimum ?? 0);
+    case 'number':
+      return schema.maximum !== undefined ? ((schema.minimum ?? 0) + schema.maximum) / 2 : 0;
+    case 'boolean':
+      return true;
+    default:
+      if (key === 'label' && source) return source.label;
+      if ((key === 'quote' || key === 'quotes') && source) return source.text.split(/\s+/).slice(0, 8).join(' ');
+      return `Mock ${key || 'text'}`;
+  }
+}
+
+function createMockProvider() {
+  return {
+    name: 'mock',
+    url: null,
+    defaultModel: 'mock',
+    models: ['mock'],
+
+    async generate({ prompt, format, onToken }) {
+      const text = format
+        ? JSON.stringify(sampleSchema(format, sourcesInPrompt(prompt)))
+        : `Mock summary: ${prompt.trim().split(/\n\n/).pop().slice(0, 200)}`;
+      if (onToken) {
+        for (let i = 0; i < text.length; i += 16) onToken(text.slice(i, i + 16));
+      }
+      return text;
+    },
+
+    async contextLength() {
+      return null;
+    },
+
+    async health() {
+      return { models: ['mock'] };
+    },
+  };
+}
+
+// ─── Registry ─────────────────────────────────────────────────────────────────
+
+const FACTORIES = {
+  ollama: createOllamaProvider,
+  openai: createOpenAIProvider,
+  mock: createMockProvider,
+};
+
+// config: { enabled: ['ollama', ...], defaultProvider, maxTemperature, ollama: {...}, openai: {...} }
+function createProviderRegistry(config) {
+  const providers = new Map();
+  for (const name of config.enabled) {
+    if (!FACTORIES[name]) throw new Error(`Unknown LLM provider "${name}"`);
+    const options = config[name] || {};
+    // Requests that leave out `model` get the default, so it is always allowed
+    providers.set(name, FACTORIES[name]({
+      ...options,
+      models: [...new Set([options.defaultModel, ...(options.models || [])].filter(Boolean))],
+    }));
+  }
+  const defaultProvider = config.defaultProvider || config.enabled[0];
+  if (!providers.has(defaultProvider)) throw new Error(`Default LLM provider "${defaultProvider}" is not enabled`);
+
+  // Check a request's provider/model/temperature against what is configured.
+  // Returns { options } or { error }.
+  function resolve({ provider = defaultProvider, model, temperature } = {}) {
+    const p = providers.get(provider);
+    if (!p) return { error: `provider must be one of: ${[...providers.keys()].join(', ')}` };
+    const name = model ?? p.defaultModel;
+    if (typeof name !== 'string' || !p.models.includes(name)) {
+      return { error: `model must be one of: ${p.models.join(', ')} (provider "${provider}")` };
+    }
+    const temp = temperature ?? config.defaultTemperature;
+    if (typeof temp !== 'number' || temp < 0 || temp > config.maxTemperature) {
+      return { error: `temperature must be a number between 0 and ${config.maxTemperature}` };
+    }
+    return { options: { provider, model: name, temperature: temp } };
+  }
+
+  return {
+    defaultProvider,
+    maxTemperature: config.maxTemperature,
+    get: name => providers.get(name),
+    list: () => [...providers.values()],
+    resolve,
+  };
+}
+
+module.exports = { createProviderRegistry };
@@ -0,0 +1,189 @@
+/**
+ * JSON Schemas for the model's synthesis output.
+ *
+ * The same schema is published by GET /schema, passed to Ollama as the
+ * structured-output `format`, and used to validate what the model returns.
+ * projectUpdateOutputSchema is the variant used when new sources are merged
+ * into a saved project: points may carry the id of the existing point they
+ * continue.
+ *
+ * In pipeline mode each source is first read on its own into a
+ * sourceExtractionSchema object (summary, quality, quoted claims, entities),
+ * and pipelineSynthesisOutputSchema is the cross-source pass over those: the
+ * per-source summaries and quality ratings already exist, so it has no `sources`.
+ *
+ * verifyOutputSchema is for fact-checking one claim (POST /verify): a verdict
+ * with quotes per source, and an overall verdict.
+ */
+
+const Ajv = require('ajv');
+
+const claim = {
+  type: 'object',
+  required: ['point', 'citations'],
+  properties: {
+    point: { type: 'string', minLength: 1 },
+    citations: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['sourceId', 'quote'],
+        properties: {
+          sourceId: { type: 'integer', minimum: 0 },
+          quote: { type: 'string', minLength: 1 },
+        },
+      },
+    },
+  },
+};
+
+const synthesisOutputSchema = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'SynthesisModelOutput',
+  type: 'object',
+  required: ['synthesis', 'keyThemes', 'consensus', 'contradictions', 'sources', 'confidence'],
+  properties: {
+    synthesis: { type: 'string', minLength: 1 },
+    keyThemes: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+    consensus: { type: 'array', items: claim },
+    contradictions: { type: 'array', items: claim },
+    sources: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'label', 'summary', 'quality'],
+        properties: {
+          id: { type: 'integer', minimum: 0 },
+          label: { type: 'string' },
+          summary: { type: 'string', minLength: 1 },
+          quality: { type: 'string', enum: ['high', 'medium', 'low'] },
+        },
+      },
+    },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+  },
+};
+
+const trackedClaim = {
+  ...claim,
+  properties: {
+    id: { type: 'string', description: 'id of the existing point this one keeps, updates or moves; omit for new points' },
+    ...claim.properties,
+  },
+};
+
+const projectUpdateOutputSchema = {
+  ...synthesisOutputSchema,
+  title: 'ProjectUpdateModelOutput',
+  properties: {
+    ...synthesisOutputSchema.properties,
+    consensus: { type: 'array', items: trackedClaim },
+    contradictions: { type: 'array', items: trackedClaim },
+  },
+};
+
+const ENTITY_TYPES = ['person', 'organization', 'place', 'product', 'event', 'concept', 'other'];
+
+const sourceExtractionSchema = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'SourceExtractionModelOutput',
+  type: 'object',
+  required: ['summary', 'quality', 'claims', 'entities'],
+  properties: {
+    summary: { type: 'string', minLength: 1 },
+    quality: { type: 'string', enum: ['high', 'medium', 'low'] },
+    claims: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['claim', 'quote'],
+        properties: {
+          claim: { type: 'string', minLength: 1 },
+          quote: { type: 'string', minLength: 1 },
+        },
+      },
+    },
+    entities: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'type'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          type: { type: 'string', enum: ENTITY_TYPES },
+        },
+      },
+    },
+  },
+};
+
+const pipelineSynthesisOutputSchema = {
+  ...synthesisOutputSchema,
+  title: 'PipelineSynthesisModelOutput',
+  required: synthesisOutputSchema.required.filter(field => field !== 'sources'),
+  properties: Object.fromEntries(Object.entries(synthesisOutputSchema.properties).filter(([field]) => field !== 'sources')),
+};
+
+const SOURCE_VERDICTS = ['supports', 'refutes', 'not_mentioned'];
+const CLAIM_VERDICTS = ['supported', 'refuted', 'mixed', 'not_enough_evidence'];
+
+const verifyOutputSchema = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'VerifyModelOutput',
+  type: 'object',
+  required: ['sources', 'verdict', 'confidence', 'explanation'],
+  properties: {
+    sources: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'verdict', 'quotes', 'explanation'],
+        properties: {
+          id: { type: 'integer', minimum: 0 },
+          verdict: { type: 'string', enum: SOURCE_VERDICTS },
+          quotes: { type: 'array', items: { type: 'string', minLength: 1 } },
+          explanation: { type: 'string', minLength: 1 },
+        },
+      },
+    },
+    verdict: { type: 'string', enum: CLAIM_VERDICTS },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    explanation: { type: 'string', minLength: 1 },
+  },
+};
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+
+// Returns a validator that lists human-readable errors ("/sources/1/quality must
+// be equal to one of the allowed values"), or an empty array when the output is valid.
+function compileValidator(schema) {
+  const validate = ajv.compile(schema);
+  return output => {
+    if (validate(output)) return [];
+    return validate.errors.map(e => `${e.instancePath || '(root)'} ${e.message}${
+      e.params?.allowedValues ? ` (${e.params.allowedValues.join(', ')})` : ''}`);
+  };
+}
+
+const validateSynthesisOutput = compileValidator(synthesisOutputSchema);
+const validateProjectUpdateOutput = compileValidator(projectUpdateOutputSchema);
+const validateSourceExtraction = compileValidator(sourceExtractionSchema);
+const validatePipelineSynthesisOutput = compileValidator(pipelineSynthesisOutputSchema);
+const validateVerifyOutput = compileValidator(verifyOutputSchema);
+
+module.exports = {
+  synthesisOutputSchema,
+  validateSynthesisOutput,
+  projectUpdateOutputSchema,
+  validateProjectUpdateOutput,
+  ENTITY_TYPES,
+  sourceExtractionSchema,
+  validateSourceExtraction,
+  pipelineSynthesisOutputSchema,
+  validatePipelineSynthesisOutput,
+  SOURCE_VERDICTS,
+  CLAIM_VERDICTS,
+  verifyOutputSchema,
+  validateVerifyOutput,
+};
@@ -0,0 +1,142 @@
+/**
+ * Web search backends for `search` sources.
+ *
+ *   searxng — a self-hosted SearxNG instance, through its JSON API (the
+ *             instance must list `json` under search.formats in settings.yml)
+ *   local   — an offline stand-in: ranks the pages listed in a JSON file
+ *             ([{ url, title, content }]) by how many query terms they contain
+ *
+ * Every backend exposes:
+ *   search(query, { limit, signal }) → [{ url, title, snippet }]   (best first)
+ *   health({ signal }) → { pages? }   (throws when unreachable; pages: local index size)
+ *
+ * pickResults() turns a backend's results into the ones a request uses: the
+ * top N, skipping URLs already seen and any second result from one domain.
+ */
+
+const fs = require('fs/promises');
+const { topicRelevance } = require('./budget');
+
+const SNIPPET_CHARS = 300;
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|msclkid|mc_cid|mc_eid|ref|ref_src)$/i;
+
+// The host a URL is deduped by: lowercased, without "www."
+function domainOf(url) {
+  return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+}
+
+// A key that is the same for URLs that point at the same page: scheme,
+// "www.", fragment, tracking parameters, parameter order and a trailing slash
+// are ignored. null when the URL is not http(s).
+function normalizeUrl(url) {
+  let u;
+  try { u = new URL(url); } catch { return null; }
+  if (u.protocol !== 'http:' && u.protocol !== 'https:') return null;
+  const params = [...u.searchParams].filter(([k]) => !TRACKING_PARAMS.test(k)).sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length ? `?${new URLSearchParams(params)}` : '';
+  const pathname = u.pathname.replace(/\/+$/, '');
+  return `${domainOf(url)}${u.port ? `:${u.port}` : ''}${pathname}${query}`;
+}
+
+// Walk `results` in rank order and mark the first `limit` usable ones `used`.
+// The others get a `skipped` reason: "invalid-url", "duplicate-url" (in
+// seenUrls, or earlier in the list), "duplicate-domain" or "limit". Used
+// results' URLs and domains are added to seenUrls / seenDomains, so a later
+// search in the same request skips them too.
+function pickResults(results, { limit, seenUrls = new Set(), seenDomains = new Set() }) {
+  let used = 0;
+  return results.map((r, i) => {
+    const entry = { rank: i + 1, url: r.url, title: r.title || '', snippet: r.snippet || '', used: false, skipped: null };
+    const key = normalizeUrl(r.url);
+    if (!key) entry.skipped = 'invalid-url';
+    else if (seenUrls.has(key)) entry.skipped = 'duplicate-url';
+    else if (seenDomains.has(domainOf(r.url))) entry.skipped = 'duplicate-domain';
+    else if (used >= limit) entry.skipped = 'limit';
+    if (entry.skipped) return entry;
+    seenUrls.add(key);
+    seenDomains.add(domainOf(r.url));
+    used++;
+    return { ...entry, used: true };
+  });
+}
+
+// ─── SearxNG ──────────────────────────────────────────────────────────────────
+
+function createSearxngBackend({ url }) {
+  if (!url) throw new Error('The searxng search backend needs SEARXNG_URL');
+  async function query(q, { signal } = {}) {
+    const params = new URLSearchParams({ q, format: 'json' });
+    const res = await fetch(`${url}/search?${params}`, { headers: { Accept: 'application/json' }, signal });
+    if (!res.ok) throw new Error(`SearxNG error: ${res.status}`);
+    return res.json();
+  }
+
+  return {
+    name: 'searxng',
+    url,
+
+    async search(q, { limit = 10, signal } = {}) {
+      const data = await query(q, { signal });
+      return (data.results || [])
+        .filter(r => typeof r.url === 'string')
+        .slice(0, limit)
+        .map(r => ({ url: r.url, title: r.title || '', snippet: (r.content || '').slice(0, SNIPPET_CHARS) }));
+    },
+
+    async health({ signal } = {}) {
+      await query('test', { signal });
+      return {};
+    },
+  };
+}
+
+// ─── Local ────────────────────────────────────────────────────────────────────
+
+// The index is read on every search, so edits to the file apply straight away
+function createLocalBackend({ file }) {
+  if (!file) throw new Error('The local search backend needs SEARCH_LOCAL_FILE');
+  async function load() {
+    const pages = JSON.parse(await fs.readFile(file, 'utf8'));
+    if (!Array.isArray(pages)) throw new Error(`${file} must hold an array of { url, title, content }`);
+    return pages.filter(p => typeof p?.url === 'string');
+  }
+
+  return {
+    name: 'local',
+    url: null,
+
+    async search(q, { limit = 10 } = {}) {
+      const scored = (await load())
+        .map(p => ({ page: p, score: topicRelevance(`${p.title || ''} ${p.content || ''}`, q) ?? 0 }))
+        .filter(s => s.score > 0);
+      // Array#sort is stable, so equal scores keep the file's order
+      scored.sort((a, b) => b.score - a.score);
+      return scored.slice(0, limit).map(({ page }) => ({
+        url: page.url,
+        title: page.title || '',
+        snippet: (page.content || '').slice(0, SNIPPET_CHARS),
+      }));
+    },
+
+    async health() {
+      return { pages: (await load()).length };
+    },
+  };
+}
+
+const FACTORIES = {
+  searxng: createSearxngBackend,
+  local: createLocalBackend,
+};
+
+// config: { backend: 'searxng' | 'local' | undefined, searxng: { url }, local: { file } }.
+// Returns null when no backend is configured (search sources are then rejected).
+function createSearchBackend(config) {
+  if (!config.backend) return null;
+  if (!FACTORIES[config.backend]) throw new Error(`Unknown search backend "${config.backend}"`);
+  return FACTORIES[config.backend](config[config.backend] || {});
+}
+
+module.exports = { createSearchBackend, pickResults, normalizeUrl, domainOf };
@@ -10,6 +10,23 @@
  *   GET  /skill.md     — Agent discovery doc
  *   GET  /schema       — Request/response schema
  *   POST /synthesize   — Synthesize 2–8 sources around a topic
+ *   POST /synthesize/stream — Same, streamed as Server-Sent Events
+ *   POST /verify       — Check whether 1–8 sources support, refute or don't mention a claim
+ *   POST /export       — Render a synthesis result as Markdown, HTML, BibTeX or CSL-JSON
+ *   GET  /cache/stats  — Cache size and hit/miss counters
+ *   DELETE /cache      — Clear the URL and/or LLM cache
+ *   POST /jobs         — Queue a synthesis in the background, returns a job id
+ *   GET  /jobs         — Recent jobs
+ *   GET  /jobs/:id     — Job status + result
+ *   GET  /jobs/:id/result — A completed job's result, in any export format
+ *   DELETE /jobs/:id   — Cancel a running job (or delete a finished one)
+ *   POST /projects     — Run a synthesis and save it as a named project
+ *   GET  /projects     — All projects
+ *   GET  /projects/:id — Project with its current synthesis and revision history
+ *   POST /projects/:id/sources — Add sources and revise the synthesis, with a diff
+ *   DELETE /projects/:id — Delete a project
+ *   GET  /auth/me      — The calling API key's limits and current usage
+ *   GET  /metrics      — Prometheus metrics
  *   GET  /             — HTML interface
  *
  * Port: 4203
@@ -18,13 +35,184 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
+const path = require('path');
+const crypto = require('crypto');
+const { setTimeout: sleep } = require('timers/promises');
+const { createJobStore } = require('./lib/jobs');
+const { extractDocument, isDocument } = require('./lib/documents');
+const { extractHtml } = require('./lib/extract');
+const {
+  synthesisOutputSchema,
+  validateSynthesisOutput,
+  projectUpdateOutputSchema,
+  validateProjectUpdateOutput,
+  ENTITY_TYPES,
+  sourceExtractionSchema,
+  validateSourceExtraction,
+  pipelineSynthesisOutputSchema,
+  validatePipelineSynthesisOutput,
+  SOURCE_VERDICTS,
+  CLAIM_VERDICTS,
+  verifyOutputSchema,
+  validateVerifyOutput,
+} = require('./lib/schema');
+const { createProviderRegistry } = require('./lib/providers');
+const { createFetchPolicy } = require('./lib/fetchPolicy');
+const { createCache } = require('./lib/cache');
+const { createProjectStore, diffSyntheses } = require('./lib/projects');
+const { FORMATS: EXPORT_FORMATS } = require('./lib/export');
+const { createAuth } = require('./lib/auth');
+const { createLogger } = require('./lib/log');
+const { createMetrics, TOKEN_BUCKETS } = require('./lib/metrics');
+const { CHARS_PER_TOKEN, estimateTokens, topicRelevance, shareBudget, trimToTokens } = require('./lib/budget');
+const { createSearchBackend, pickResults, normalizeUrl, domainOf } = require('./lib/search');
+
+// A retry count from the environment: 0 is allowed (no retries), negative values are not
+function retryCount(value, fallback) {
+  const n = parseInt(value, 10);
+  return Number.isInteger(n) ? Math.max(n, 0) : fallback;
+}
+
+// Smallest context window the prompts and chunking are built for
+const MIN_CONTEXT_TOKENS = 2048;
+
+function contextTokensSetting(name, fallback) {
+  const value = parseInt(process.env[name], 10) || fallback;
+  if (value < MIN_CONTEXT_TOKENS) throw new Error(`${name} must be at least ${MIN_CONTEXT_TOKENS} tokens`);
+  return value;
+}
 
 const app = express();
 const PORT = process.env.PORT || 4203;
 const OLLAMA_URL = process.env.OLLAMA_URL || 'http://localhost:11434';
 const MODEL = process.env.OLLAMA_MODEL || 'qwen3:8b-q8_0';
+const CHUNK_CHARS = 12000;
+const MAX_CONTEXT_TOKENS = contextTokensSetting('MAX_CONTEXT_TOKENS', 32768);
+const DEFAULT_CONTEXT_TOKENS = contextTokensSetting('DEFAULT_CONTEXT_TOKENS', 8192);
+// Below this, a model's context window is too small to condense long sources in
+const MIN_CHUNK_CHARS = 1000;
+// Tokens kept free for the model's answer, by depth; never more than a quarter of the context
+const RESPONSE_TOKENS = { brief: 2048, detailed: 4096 };
+// Slack for the system prompt and for token estimates that come out low
+const PROMPT_MARGIN_TOKENS = 256;
+const MAX_CHUNKS = parseInt(process.env.MAX_CHUNKS_PER_SOURCE, 10) || 6;
+const MAX_REPAIR_RETRIES = retryCount(process.env.MAX_REPAIR_RETRIES, 2);
+const LLM_CONCURRENCY = parseInt(process.env.LLM_CONCURRENCY, 10) || 2;
+const JOBS_DIR = process.env.JOBS_DIR || path.join(__dirname, 'data', 'jobs');
+const PROJECTS_DIR = process.env.PROJECTS_DIR || path.join(__dirname, 'data', 'projects');
+const CACHE_DIR = process.env.CACHE_DIR || path.join(__dirname, 'data', 'cache');
+const CACHE_TTL_SECONDS = parseInt(process.env.CACHE_TTL_SECONDS, 10) || 86400;
+const FETCH_CONCURRENCY = parseInt(process.env.FETCH_CONCURRENCY, 10) || 4;
+const FETCH_RETRIES = retryCount(process.env.FETCH_RETRIES, 2);
+const FETCH_TIMEOUT_MS = 20000;
+const FETCH_RETRY_DELAY_MS = parseInt(process.env.FETCH_RETRY_DELAY_MS, 10) || 500;
+const MIN_SUCCESSFUL_SOURCES = parseInt(process.env.MIN_SUCCESSFUL_SOURCES, 10) || 2;
+const MAX_SOURCES = 8;
+const SEARCH_MAX_RESULTS = parseInt(process.env.SEARCH_MAX_RESULTS, 10) || 3;
+
+const API_KEYS_FILE = process.env.API_KEYS_FILE || path.join(__dirname, 'api-keys.json');
+
+const envList = value => (value || '').split(',').map(v => v.trim()).filter(Boolean);
+
+const log = createLogger({ level: process.env.LOG_LEVEL || 'info' });
+
+const llm = createProviderRegistry({
+  enabled: envList(process.env.LLM_PROVIDERS || 'ollama'),
+  defaultProvider: process.env.LLM_PROVIDER,
+  defaultTemperature: 0.2,
+  maxTemperature: parseFloat(process.env.MAX_TEMPERATURE) || 1,
+  ollama: { url: OLLAMA_URL, defaultModel: MODEL, models: envList(process.env.OLLAMA_MODELS) },
+  openai: {
+    url: process.env.OPENAI_BASE_URL || 'http://localhost:8080/v1',
+    apiKey: process.env.OPENAI_API_KEY,
+    defaultModel: process.env.OPENAI_MODEL || 'default',
+    models: envList(process.env.OPENAI_MODELS),
+  },
+});
+
+const fetchPolicy = createFetchPolicy({
+  allowPrivate: process.env.FETCH_ALLOW_PRIVATE === '1',
+  allowDomains: envList(process.env.FETCH_ALLOW_DOMAINS),
+  denyDomains: envList(process.env.FETCH_DENY_DOMAINS),
+  maxBytes: parseInt(process.env.FETCH_MAX_BYTES, 10) || 10 * 1024 * 1024,
+  maxRedirects: 5,
+});
+
+const cache = createCache({ dir: CACHE_DIR, ttlMs: CACHE_TTL_SECONDS * 1000, log });
+
+const search = createSearchBackend({
+  backend: process.env.SEARCH_BACKEND,
+  searxng: { url: process.env.SEARXNG_URL },
+  local: { file: process.env.SEARCH_LOCAL_FILE },
+});
+
+const auth = createAuth({
+  file: API_KEYS_FILE,
+  log,
+  defaults: {
+    requests: parseInt(process.env.RATE_LIMIT_REQUESTS, 10) || 30,
+    windowSeconds: parseInt(process.env.RATE_LIMIT_WINDOW_SECONDS, 10) || 60,
+    maxConcurrent: parseInt(process.env.MAX_CONCURRENT_PER_KEY, 10) || 2,
+  },
+});
+
+// ─── Observability ────────────────────────────────────────────────────────────
+
+const metrics = createMetrics({ prefix: 'research_synth_' });
+const httpRequests = metrics.counter('http_requests_total', 'HTTP requests by method, route and status', ['method', 'route', 'status']);
+const httpDuration = metrics.histogram('http_request_duration_seconds', 'HTTP request duration', ['method', 'route']);
+const fetchDuration = metrics.histogram('fetch_duration_seconds',
+  'URL source fetch latency, cache hits excluded (status is the HTTP status, or "error")', ['status']);
+const llmDuration = metrics.histogram('llm_request_duration_seconds',
+  'LLM generate call latency, cache hits excluded', ['provider', 'model', 'outcome']);
+const llmPromptTokens = metrics.histogram('llm_prompt_tokens',
+  'Prompt tokens per LLM call (Ollama prompt_eval_count)', ['provider', 'model'], TOKEN_BUCKETS);
+const llmResponseTokens = metrics.histogram('llm_response_tokens',
+  'Response tokens per LLM call (Ollama eval_count)', ['provider', 'model'], TOKEN_BUCKETS);
+const parseFailures = metrics.counter('llm_parse_failures_total',
+  'Structured LLM answers that were not valid JSON or did not match the schema', ['reason']);
+const stageDuration = metrics.histogram('stage_duration_seconds', 'Time spent in each synthesis stage', ['stage']);
+
+// Polled by monitoring; only logged at debug level
+const QUIET_PATHS = ['/health', '/metrics'];
+
+// Every request gets an id (the caller's X-Request-Id, if it sent a usable one),
+// returned in the X-Request-Id header. One log line and one metrics update per
+// request once the response is done or the client goes away.
+app.use((req, res, next) => {
+  const incoming = req.get('x-request-id');
+  req.id = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
 
-app.use(cors());
+  const started = process.hrtime.bigint();
+  res.on('close', () => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    // The route pattern keeps label values bounded; "other" when no route matched
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'other';
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route }, seconds);
+
+    const level = res.statusCode >= 500 ? 'error' : QUIET_PATHS.includes(req.path) ? 'debug' : 'info';
+    log[level](res.writableFinished ? 'Request completed' : 'Request aborted by client', {
+      requestId: req.id,
+      method: req.method,
+      path: req.path,
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000),
+      apiKey: req.apiKey?.name,
+    });
+  });
+  next();
+});
+
+// Cross-origin browser access is off unless the origin is listed ("*" allows any)
+const corsOrigins = envList(process.env.CORS_ORIGINS);
+app.use(cors({
+  origin: (origin, cb) => cb(null, corsOrigins.includes('*') || corsOrigins.includes(origin)),
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Request-Id'],
+  exposedHeaders: ['Location', 'Retry-After', 'X-Request-Id', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset'],
+}));
 app.use(helmet({
   contentSecurityPolicy: {
     directives: {
@@ -34,68 +222,416 @@ app.use(helmet({
     },
   },
 }));
-app.use(express.json({ limit: '4mb' }));
+app.use(express.json({ limit: '20mb' })); // base64 file sources
+
+// Everything logged while handling a request (including the background work it
+// starts) carries its id. Set after the body parser, which doesn't keep async context.
+app.use((req, res, next) => log.withContext({ requestId: req.id }, next));
+
+// ─── Auth ─────────────────────────────────────────────────────────────────────
+
+// Reachable without a key: the UI page and the discovery/health endpoints
+const PUBLIC_PATHS = ['/', '/health', '/skill.md', '/schema'];
+
+// Every other route needs an API key once any are configured. The key goes in
+// "Authorization: Bearer <key>" or "X-API-Key: <key>"; the matching entry is
+// stored on req.apiKey.
+app.use((req, res, next) => {
+  if (!auth.enabled || (req.method === 'GET' && PUBLIC_PATHS.includes(req.path))) return next();
+  const secret = req.get('x-api-key') || req.get('authorization')?.match(/^Bearer\s+(\S+)$/i)?.[1];
+  if (!secret) {
+    return res.status(401).set('WWW-Authenticate', 'Bearer')
+      .json({ error: 'API key required (Authorization: Bearer <key> or X-API-Key header)' });
+  }
+  req.apiKey = auth.authenticate(secret);
+  if (!req.apiKey) return res.status(401).set('WWW-Authenticate', 'Bearer').json({ error: 'Invalid API key' });
+  next();
+});
+
+// Rate limit and concurrency quota for routes that run inference. The slot is
+// released when the response closes, unless a background job took it over via
+// req.takeQuotaSlot().
+function inferenceQuota(req, res, next) {
+  if (!req.apiKey) return next();
+  const limit = auth.hit(req.apiKey);
+  res.set({
+    'X-RateLimit-Limit': limit.limit,
+    'X-RateLimit-Remaining': Math.max(limit.remaining, 0),
+    'X-RateLimit-Reset': limit.resetSeconds,
+  });
+  if (!limit.ok) {
+    return res.status(429).set('Retry-After', limit.resetSeconds).json({
+      error: 'Rate limit exceeded',
+      limit: limit.limit,
+      windowSeconds: req.apiKey.rateLimit.windowSeconds,
+      retryAfterSeconds: limit.resetSeconds,
+    });
+  }
+  const release = auth.acquire(req.apiKey);
+  if (!release) {
+    return res.status(429).json({
+      error: 'Too many concurrent requests for this API key',
+      maxConcurrent: req.apiKey.maxConcurrent,
+    });
+  }
+  let takenOver = false;
+  req.takeQuotaSlot = () => {
+    takenOver = true;
+    return release;
+  };
+  res.on('close', () => { if (!takenOver) release(); });
+  next();
+}
+
+// Jobs and projects belong to the key that created them
+const ownerOf = req => req.apiKey?.name ?? null;
+const ownedBy = (req, item) => !auth.enabled || item.owner === ownerOf(req);
+
+app.get('/auth/me', (req, res) => {
+  if (!req.apiKey) return res.json({ enabled: false });
+  res.json({ enabled: true, ...auth.status(req.apiKey) });
+});
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
 
-async function fetchUrl(url) {
+// Fetch a URL source and extract its text. Results are cached by URL; stale
+// entries are revalidated with ETag / Last-Modified before refetching. The
+// returned `cache` is "hit", "revalidated", "miss" or "bypass".
+async function fetchUrl(url, { signal, cacheState } = {}) {
+  // Checked before the cache too, so a domain denied since it was cached isn't served from there
+  await fetchPolicy.checkUrl(url);
+  const cached = cacheState?.bypass ? null : await cache.get('url', url);
+  if (cached?.fresh) {
+    cache.record('url', true);
+    return { ...cached.value, cache: 'hit' };
+  }
+
+  const headers = {
+    'User-Agent': 'ResearchSynthBot/1.0 (+http://localhost:4203/skill.md)',
+    'Accept': 'text/html,text/plain,application/pdf,application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  };
+  if (cached?.meta.etag) headers['If-None-Match'] = cached.meta.etag;
+  if (cached?.meta.lastModified) headers['If-Modified-Since'] = cached.meta.lastModified;
+
   const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), 20000);
+  const timeout = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  signal?.addEventListener('abort', () => controller.abort(), { once: true });
+  const observeFetch = fetchDuration.startTimer();
+  let res;
   try {
-    const res = await fetch(url, {
-      signal: controller.signal,
-      headers: {
-        'User-Agent': 'ResearchSynthBot/1.0 (+http://localhost:4203/skill.md)',
-        'Accept': 'text/html,text/plain',
-      },
-    });
-    if (!res.ok) throw new Error(`HTTP ${res.status} fetching ${url}`);
-    const ct = res.headers.get('content-type') || '';
-    if (!ct.includes('text') && !ct.includes('json')) {
-      throw new Error(`Non-text content-type: ${ct}`);
+    res = await fetchPolicy.fetch(url, { signal: controller.signal, headers });
+    observeFetch({ status: res.status });
+  } catch (err) {
+    observeFetch({ status: 'error' });
+    // Timeouts and network failures are worth retrying; policy blocks and
+    // client aborts are not
+    if (signal?.aborted) throw err;
+    if (controller.signal.aborted) {
+      throw Object.assign(new Error(`Timed out after ${FETCH_TIMEOUT_MS / 1000}s fetching ${url}`), { transient: true });
     }
-    const raw = await res.text();
-    return extractText(raw);
+    if (err instanceof TypeError) err.transient = true;
+    throw err;
   } finally {
     clearTimeout(timeout);
   }
+
+  if (res.status === 304 && cached) {
+    await cache.touch('url', url);
+    cache.record('url', true);
+    return { ...cached.value, cache: 'revalidated' };
+  }
+  cache.record('url', false);
+
+  const result = { ...await extractResponse(res, url), status: res.status, bytes: res.body.length };
+  await cache.set('url', url, result, {
+    etag: res.headers.get('etag'),
+    lastModified: res.headers.get('last-modified'),
+  });
+  return { ...result, cache: cacheState?.bypass ? 'bypass' : 'miss' };
 }
 
-function extractText(html) {
-  return html
-    .replace(/<script[\s\S]*?<\/script>/gi, ' ')
-    .replace(/<style[\s\S]*?<\/style>/gi, ' ')
-    .replace(/<nav[\s\S]*?<\/nav>/gi, ' ')
-    .replace(/<footer[\s\S]*?<\/footer>/gi, ' ')
-    .replace(/<header[\s\S]*?<\/header>/gi, ' ')
-    .replace(/<aside[\s\S]*?<\/aside>/gi, ' ')
-    .replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>')
-    .replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&nbsp;/g, ' ')
-    .replace(/<[^>]+>/g, ' ')
-    .replace(/\s{2,}/g, ' ')
-    .trim()
-    .slice(0, 12000); // cap per source
+// Statuses that usually clear up on their own, so the fetch is retried
+const TRANSIENT_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+async function extractResponse(res, url) {
+  if (!res.ok) {
+    throw Object.assign(new Error(`HTTP ${res.status} fetching ${url}`), {
+      status: res.status,
+      transient: TRANSIENT_STATUSES.includes(res.status),
+    });
+  }
+  const ct = res.headers.get('content-type') || '';
+  const finalUrl = res.url;
+  const filename = new URL(finalUrl).pathname.split('/').pop();
+  if (isDocument(ct, filename)) {
+    const { text, metadata } = await extractDocument(res.body, { filename });
+    return { text, metadata: { ...metadata, canonicalUrl: finalUrl } };
+  }
+  if (!ct.includes('text') && !ct.includes('json')) {
+    throw new Error(`Non-text content-type: ${ct}`);
+  }
+  const raw = res.body.toString('utf8');
+  if (ct.includes('html')) return extractHtml(raw, finalUrl);
+  return { text: raw.trim(), metadata: { title: null, author: null, publishedDate: null, canonicalUrl: finalUrl, siteName: null } };
 }
 
-async function ollamaGenerate(prompt, expectJson = true) {
-  const systemPrompt = expectJson
+// Run fn(item, index) over items with at most `limit` calls in flight.
+// Results come back in input order.
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Caps how many generate calls hit the LLM backends at once; the rest wait in FIFO order
+let llmActive = 0;
+const llmWaiters = [];
+
+function acquireLlmSlot(signal) {
+  if (signal?.aborted) return Promise.reject(signal.reason);
+  if (llmActive < LLM_CONCURRENCY) {
+    llmActive++;
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) => {
+    const waiter = { resolve, reject };
+    llmWaiters.push(waiter);
+    signal?.addEventListener('abort', () => {
+      const i = llmWaiters.indexOf(waiter);
+      if (i !== -1) {
+        llmWaiters.splice(i, 1);
+        reject(signal.reason);
+      }
+    }, { once: true });
+  });
+}
+
+function releaseLlmSlot() {
+  const next = llmWaiters.shift();
+  if (next) next.resolve();
+  else llmActive--;
+}
+
+// The context window a model runs with: its own context length (from the
+// backend, when it reports one) capped at MAX_CONTEXT_TOKENS, or
+// DEFAULT_CONTEXT_TOKENS when unknown. Always the same for a given model, since
+// Ollama reloads a model whenever num_ctx changes. Resolves to
+// { contextTokens, modelContextTokens }. A failed lookup is retried after a minute.
+const contextWindows = new Map();
+
+function contextWindow({ provider, model }) {
+  const key = `${provider}/${model}`;
+  const known = contextWindows.get(key);
+  if (known && known.until > Date.now()) return known.window;
+
+  const window = llm.get(provider).contextLength(model, { signal: AbortSignal.timeout(5000) })
+    .then(modelContextTokens => ({
+      contextTokens: Math.min(modelContextTokens || DEFAULT_CONTEXT_TOKENS, MAX_CONTEXT_TOKENS),
+      modelContextTokens,
+    }))
+    .catch(err => {
+      log.warn('Could not look up the model context length', { provider, model, error: err.message });
+      contextWindows.set(key, { window, until: Date.now() + 60 * 1000 });
+      return { contextTokens: Math.min(DEFAULT_CONTEXT_TOKENS, MAX_CONTEXT_TOKENS), modelContextTokens: null };
+    });
+  contextWindows.set(key, { window, until: Infinity });
+  return window;
+}
+
+function responseTokens(depth, contextTokens) {
+  return Math.min(RESPONSE_TOKENS[depth] || RESPONSE_TOKENS.brief, Math.floor(contextTokens / 4));
+}
+
+// llmOptions is the { provider, model, temperature } chosen for the request (see
+// llm.resolve); defaults to the configured provider and model. The model runs
+// with its contextWindow() and answers with at most maxTokens tokens (capped by
+// responseTokens()). With onToken set, output is streamed and reported as it
+// arrives; the resolved value is the full response either way. Responses are
+// cached by prompt, model and options, and counted in cacheState.llm when one is passed.
+// Only responses that pass `cacheable(response)` are written to the cache.
+async function llmGenerate(prompt, expectJson = true, {
+  llmOptions, onToken, signal, format, cacheState, maxTokens = RESPONSE_TOKENS.brief, cacheable = Boolean,
+} = {}) {
+  const { provider, model, temperature } = llmOptions || llm.resolve().options;
+  const system = expectJson
     ? 'You are a research analyst. Respond ONLY with valid JSON — no markdown, no backticks, no commentary before or after.'
     : 'You are a research analyst. Be concise and factual.';
+  const { contextTokens } = await contextWindow({ provider, model });
+  const request = {
+    system,
+    prompt,
+    model,
+    temperature,
+    maxTokens: Math.min(maxTokens, Math.floor(contextTokens / 4)),
+    contextTokens,
+    format,
+  };
+  const promptTokens = estimateTokens(system) + estimateTokens(prompt);
+  if (promptTokens + request.maxTokens > contextTokens) {
+    log.warn('Prompt may not fit the context window', { provider, model, promptTokens, contextTokens, maxTokens: request.maxTokens });
+  }
 
-  const res = await fetch(`${OLLAMA_URL}/api/generate`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      model: MODEL,
-      prompt,
-      system: systemPrompt,
-      stream: false,
-      options: { temperature: 0.2, num_predict: 2048 },
-    }),
-  });
-  if (!res.ok) throw new Error(`Ollama error: ${res.status}`);
-  const data = await res.json();
-  return data.response?.trim() || '';
+  const key = { provider, ...request };
+  const cached = cacheState?.bypass ? null : await cache.get('llm', key);
+  if (cached?.fresh) {
+    cache.record('llm', true);
+    if (cacheState) cacheState.llm.hits++;
+    onToken?.(cached.value);
+    return cached.value;
+  }
+
+  await acquireLlmSlot(signal);
+  const labels = { provider, model };
+  const observe = llmDuration.startTimer();
+  const started = Date.now();
+  let usage = {};
+  let response;
+  try {
+    response = await llm.get(provider).generate({
+      ...request,
+      onToken,
+      signal,
+      onUsage: u => {
+        usage = u;
+        llmPromptTokens.observe(labels, u.promptTokens);
+        llmResponseTokens.observe(labels, u.responseTokens);
+      },
+    });
+    observe({ ...labels, outcome: 'ok' });
+  } catch (err) {
+    observe({ ...labels, outcome: signal?.aborted ? 'aborted' : 'error' });
+    if (!signal?.aborted) log.warn('LLM call failed', { ...labels, error: err.message });
+    throw err;
+  } finally {
+    releaseLlmSlot();
+  }
+  log.debug('LLM call', { ...labels, durationMs: Date.now() - started, ...usage, chars: response?.length ?? 0 });
+  cache.record('llm', false);
+  if (cacheState) cacheState.llm.misses++;
+  if (response && cacheable(response)) await cache.set('llm', key, response);
+  return response;
+}
+
+function splitIntoChunks(text, size = CHUNK_CHARS) {
+  const chunks = [];
+  let rest = text;
+  while (rest.length > size) {
+    // Prefer to break at a sentence boundary, then a word boundary
+    let cut = rest.lastIndexOf('. ', size);
+    if (cut < size / 2) cut = rest.lastIndexOf(' ', size);
+    cut = cut < size / 2 ? size : cut + 1;
+    chunks.push(rest.slice(0, cut).trim());
+    rest = rest.slice(cut);
+  }
+  if (rest.trim()) chunks.push(rest.trim());
+  return chunks;
+}
+
+// Map-reduce a long source down to something that fits in the synthesis prompt:
+// summarize each chunk, then merge the partial summaries if they are still too long.
+// chunkSize shrinks below CHUNK_CHARS for models with a small context window.
+// `truncated` is set whenever part of the text was dropped: chunks beyond
+// MAX_CHUNKS, chunks whose summary failed (also counted in chunksFailed), or
+// partial summaries cut to size because merging them failed.
+async function condenseSource(text, topic, { signal, llmOptions, cacheState, chunkSize = CHUNK_CHARS } = {}) {
+  if (!text) return { text, chunksTotal: 0, chunksProcessed: 0, chunksFailed: 0, truncated: false };
+  if (text.length <= chunkSize) return { text, chunksTotal: 1, chunksProcessed: 1, chunksFailed: 0, truncated: false };
+
+  const chunks = splitIntoChunks(text, chunkSize);
+  const focus = topic ? `Focus on anything relevant to: ${topic}\n` : '';
+  const partials = [];
+  let failed = 0;
+  for (const [i, chunk] of chunks.slice(0, MAX_CHUNKS).entries()) {
+    try {
+      const summary = await llmGenerate(
+        `${focus}Summarize part ${i + 1} of ${chunks.length} of a longer document. Keep specific facts, figures, names and claims. Do not add anything that is not in the text.\n\n${chunk}`,
+        false,
+        { signal, llmOptions, cacheState },
+      );
+      if (summary) partials.push(`[Part ${i + 1}/${chunks.length}] ${summary}`);
+      else failed++;
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      log.warn('Failed to summarize a chunk of a long source', { chunk: i + 1, chunks: chunks.length, error: err.message });
+      failed++;
+    }
+  }
+  if (!partials.length) throw new Error('Failed to summarize any chunk of a long source');
+
+  const joined = partials.join('\n\n');
+  let merged = joined;
+  let cut = false;
+  if (joined.length > chunkSize) {
+    try {
+      merged = await llmGenerate(
+        `${focus}Merge these partial summaries of one document into a single summary. Keep specific facts, figures, names and claims.\n\n${joined}`,
+        false,
+        { signal, llmOptions, cacheState },
+      );
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      log.warn('Failed to merge the partial summaries of a long source', { partials: partials.length, error: err.message });
+    }
+    // An empty merge falls back like a failed one: to the partial summaries, cut to size
+    if (!merged) {
+      log.warn('Merging the partial summaries of a long source returned nothing', { partials: partials.length });
+      merged = joined;
+    }
+    cut = merged.length > chunkSize;
+    merged = merged.slice(0, chunkSize);
+  }
+
+  return {
+    text: merged,
+    chunksTotal: chunks.length,
+    chunksProcessed: partials.length,
+    chunksFailed: failed,
+    truncated: partials.length < chunks.length || cut,
+  };
+}
+
+function normalizeForMatch(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[\u2018\u2019]/g, "'")
+    .replace(/[\u201c\u201d]/g, '"')
+    .replace(/[\u2013\u2014]/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function quoteAppearsIn(quote, text) {
+  const q = normalizeForMatch(quote).replace(/^["'.…\s]+|["'.…\s]+$/g, '');
+  return q.length > 0 && normalizeForMatch(text || '').includes(q);
+}
+
+// Turn the model's consensus/contradiction points into { point, citations, verified },
+// checking every quote against the text of the source it claims to come from.
+// keepIds carries over the `id` the model gave each point (project updates)
+function normalizeClaims(claims, fetched, { keepIds = false } = {}) {
+  if (!Array.isArray(claims)) return [];
+  return claims.map(c => {
+    if (typeof c === 'string') return { point: c, citations: [], verified: false };
+    const citations = (Array.isArray(c?.citations) ? c.citations : []).map(cit => {
+      const sourceId = Number(cit?.sourceId ?? cit?.id);
+      const quote = typeof cit?.quote === 'string' ? cit.quote.trim() : '';
+      const source = fetched.find(s => s.id === sourceId);
+      return { sourceId, quote, verified: !!source && quoteAppearsIn(quote, source.text) };
+    });
+    return {
+      ...(keepIds && typeof c?.id === 'string' && { id: c.id }),
+      point: String(c?.point || ''),
+      citations,
+      verified: citations.length > 0 && citations.every(cit => cit.verified),
+    };
+  }).filter(c => c.point);
 }
 
 function extractJson(text) {
@@ -113,25 +649,141 @@ function extractJson(text) {
   throw new Error('Could not extract JSON from LLM response');
 }
 
+function repairPrompt(prompt, raw, errors) {
+  return `${prompt}
+
+Your previous answer was:
+${raw.slice(0, 4000)}
+
+It did not match the required JSON structure:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Return the corrected JSON object only, fixing every problem listed above.`;
+}
+
+// Asks the model for JSON matching `schema` (synthesisOutputSchema by default; also
+// sent as Ollama's structured-output format). Invalid answers are sent back with the
+// validation errors until they pass or MAX_REPAIR_RETRIES is used up. Resolves with
+// the last parsed output, how many retries it took and any errors left. Only
+// answers that pass are cached, so a failed request is not replayed from the
+// cache. Time spent waiting on the model and parsing its output is added to
+// timings.llmMs and timings.parseMs.
+async function generateStructured(prompt, {
+  signal,
+  llmOptions,
+  cacheState,
+  onEvent = () => {},
+  check = () => [],
+  schema = synthesisOutputSchema,
+  validate = validateSynthesisOutput,
+  timings = {},
+  maxTokens,
+} = {}) {
+  timings.llmMs ??= 0;
+  timings.parseMs ??= 0;
+  // Parse and validate an answer; the last one is kept so it is only done once
+  let assessed = null;
+  const assess = text => {
+    const started = Date.now();
+    let candidate;
+    let errs = ['response is not valid JSON'];
+    try { candidate = extractJson(text); } catch {}
+    if (candidate !== undefined) errs = [...validate(candidate), ...check(candidate)];
+    timings.parseMs += Date.now() - started;
+    assessed = { text, candidate, errors: errs };
+    return !errs.length;
+  };
+
+  let raw = '';
+  let parsed = null;
+  let errors = [];
+  for (let attempt = 0; attempt <= MAX_REPAIR_RETRIES; attempt++) {
+    if (attempt > 0) onEvent('progress', { stage: 'repair', attempt, errors });
+    const started = Date.now();
+    const parseMsBefore = timings.parseMs;
+    try {
+      raw = await llmGenerate(attempt === 0 ? prompt : repairPrompt(prompt, raw, errors), true, {
+        signal,
+        llmOptions,
+        cacheState,
+        maxTokens,
+        format: schema,
+        cacheable: assess,
+        onToken: token => onEvent('token', { text: token, attempt }),
+      });
+    } catch (err) {
+      throw httpError(503, 'LLM unavailable', { detail: err.message });
+    } finally {
+      // `assess` runs inside llmGenerate and its time is already in parseMs
+      timings.llmMs += Date.now() - started - (timings.parseMs - parseMsBefore);
+    }
+
+    // Cache hits and empty answers skip `cacheable`
+    if (assessed?.text !== raw) assess(raw);
+    const { candidate } = assessed;
+    errors = assessed.errors;
+    if (candidate !== undefined) parsed = candidate;
+    if (!errors.length) return { parsed, retries: attempt, errors };
+
+    parseFailures.inc({ reason: candidate === undefined ? 'invalid_json' : 'schema' });
+    log.warn('LLM output failed validation', { attempt, errors: errors.slice(0, 10) });
+  }
+
+  if (!parsed) {
+    throw httpError(500, 'Failed to parse LLM response', { raw: raw.slice(0, 500), retries: MAX_REPAIR_RETRIES });
+  }
+  return { parsed, retries: MAX_REPAIR_RETRIES, errors };
+}
+
 // ─── Health ───────────────────────────────────────────────────────────────────
 
-app.get('/health', async (req, res) => {
-  let ollamaOk = false;
+async function searchHealth() {
+  if (!search) return null;
   try {
-    const r = await fetch(`${OLLAMA_URL}/api/tags`, { signal: AbortSignal.timeout(3000) });
-    ollamaOk = r.ok;
-  } catch {}
+    return { backend: search.name, status: 'connected', url: search.url,
+      ...await search.health({ signal: AbortSignal.timeout(3000) }) };
+  } catch (err) {
+    return { backend: search.name, status: 'unreachable', url: search.url, error: err.message };
+  }
+}
+
+app.get('/health', async (req, res) => {
+  const backends = {};
+  await Promise.all(llm.list().map(async p => {
+    try {
+      const { models } = await p.health({ signal: AbortSignal.timeout(3000) });
+      backends[p.name] = {
+        status: 'connected',
+        url: p.url,
+        defaultModel: p.defaultModel,
+        allowedModels: p.models,
+        missingModels: p.models.filter(m => !models.includes(m)),
+      };
+    } catch (err) {
+      backends[p.name] = { status: 'unreachable', url: p.url, defaultModel: p.defaultModel, allowedModels: p.models, error: err.message };
+    }
+  }));
+  const defaultOk = backends[llm.defaultProvider].status === 'connected';
   res.json({
-    status: ollamaOk ? 'ok' : 'degraded',
+    status: defaultOk ? 'ok' : 'degraded',
     service: 'research-synthesizer',
     version: '1.0.0',
     timestamp: new Date().toISOString(),
-    model: MODEL,
-    ollama: ollamaOk ? 'connected' : 'unreachable',
-    maxSources: 8,
+    defaultProvider: llm.defaultProvider,
+    model: llm.get(llm.defaultProvider).defaultModel,
+    backends,
+    search: await searchHealth(),
+    auth: auth.enabled ? 'enabled' : 'disabled',
+    maxSources: MAX_SOURCES,
   });
 });
 
+// ─── Metrics ──────────────────────────────────────────────────────────────────
+
+app.get('/metrics', (req, res) => {
+  res.type(metrics.contentType).send(metrics.render());
+});
+
 // ─── Skill.md ─────────────────────────────────────────────────────────────────
 
 app.get('/skill.md', (req, res) => {
@@ -144,7 +796,16 @@ and an overall analysis — all via local Ollama inference (free, no API keys ne
 
 ## Base URL
 http://localhost:4203
-
+${auth.enabled ? `
+## Authentication
+This server requires an API key. Send it as \`Authorization: Bearer <key>\` or \`X-API-Key: <key>\`.
+Only \`GET /\`, \`/health\`, \`/skill.md\` and \`/schema\` are open.
+- Inference routes (/synthesize, /synthesize/stream, POST /verify, POST /jobs, POST /projects, POST /projects/:id/sources)
+  are rate limited per key. \`X-RateLimit-Limit\` / \`-Remaining\` / \`-Reset\` headers show where you stand;
+  429 with \`Retry-After\` means wait. A key also has a cap on requests running at once (queued/running jobs count).
+- Jobs and projects are only visible to the key that created them.
+- \`GET /auth/me\` — your key's limits and current usage.
+` : ''}
 ## Core Endpoint
 
 ### POST /synthesize
@@ -163,27 +824,145 @@ Synthesize multiple sources around a topic.
 \`\`\`
 
 Fields:
-- \`sources\` (required): Array of 2–8 sources. Each has \`type\` ("url" | "text") and \`content\`.
-- \`topic\` (optional): Focus question or research topic. Guides the synthesis.
+- \`sources\` (required): Array of 2–8 sources. Each has \`type\` ("url" | "text" | "file") and \`content\`.
+  For "file", \`content\` is the base64-encoded file; add \`filename\` and/or \`mimeType\` so the format can be detected.
+  Supported files: PDF, DOCX, Markdown, plain text.
+${search ? `  For "search", \`content\` is a web search query (${search.name} backend). Its top \`maxResults\` results (default
+  ${SEARCH_MAX_RESULTS}), one per domain and skipping URLs and domains already in the request, are added as "url" sources. Each search
+  counts as maxResults toward the 8-source limit. The response's \`search\` lists every result found, with \`used\`,
+  the \`skipped\` reason and the \`sourceId\` it became.
+` : ''}- \`topic\` (optional): Focus question or research topic. Guides the synthesis.
 - \`depth\` (optional): "brief" (default) | "detailed". Detailed = deeper analysis, slower.
+- \`mode\` (optional): "single" (default) | "pipeline". Pipeline reads each source in its own model call
+  first (summary, quality, quoted claims, entities), then synthesizes across those extractions. Slower (one
+  extra call per source) but more reliable with small models. The extractions come back in \`extractions\`.
+  A source whose extraction fails gets an \`error\` there and is left out of the synthesis; the request only
+  fails when fewer than minSuccessfulSources extractions succeed.
+- \`cache\` (optional): "default" | "bypass". Bypass ignores cached fetches and LLM output (fresh results are still stored).
+- \`minSuccessfulSources\` (optional): how many sources must load for the synthesis to run (default ${MIN_SUCCESSFUL_SOURCES}).
+  With fewer, the request fails with 422 before the model is called.
+- \`provider\` (optional): LLM backend, one of those listed by /health (default: ${llm.defaultProvider}).
+- \`model\` (optional): model name; must be on that backend's allowlist (\`allowedModels\` in /health).
+- \`temperature\` (optional): 0–${llm.maxTemperature} (default 0.2).
+- \`format\` (optional): "json" (default) | "markdown" | "html" | "bibtex" | "csl-json". Also accepted as \`?format=\`
+  or through the Accept header (text/markdown, text/html, application/x-bibtex, application/vnd.citationstyles.csl+json).
 
 **Response:**
 \`\`\`json
 {
   "synthesis": "Overall synthesis paragraph...",
   "keyThemes": ["theme1", "theme2"],
-  "consensus": ["Point all sources agree on"],
-  "contradictions": ["Point source A says X but source B says Y"],
+  "consensus": [
+    { "point": "Point all sources agree on", "verified": true, "citations": [
+      { "sourceId": 0, "quote": "verbatim text from source 0", "verified": true }
+    ] }
+  ],
+  "contradictions": [
+    { "point": "Source A says X but source B says Y", "verified": false, "citations": [
+      { "sourceId": 0, "quote": "verbatim text saying X", "verified": true },
+      { "sourceId": 1, "quote": "text not found in source 1", "verified": false }
+    ] }
+  ],
   "sources": [
-    { "id": 0, "label": "Source 1", "summary": "...", "quality": "high" }
+    { "id": 0, "label": "Article title", "summary": "...", "quality": "high",
+      "url": "https://example.com/article",
+      "metadata": { "title": "Article title", "author": "Jane Doe", "publishedDate": "2024-03-01",
+                    "canonicalUrl": "https://example.com/article", "siteName": "Example" },
+      "error": null,
+      "fetchStatus": { "ok": true, "status": 200, "bytes": 48213, "durationMs": 640, "attempts": 1,
+                       "cache": "miss", "error": null },
+      "chunksProcessed": 1, "chunksTotal": 1, "chunksFailed": 0, "truncated": false }
   ],
   "confidence": 0.82,
+  "validation": { "valid": true, "retries": 0, "errors": [], "defaultedFields": [] },
+  "context": { "contextTokens": 8192, "modelContextTokens": 40960, "maxResponseTokens": 2048,
+               "estimatedPromptTokens": 5630, "trimmedSources": [] },
+  "warnings": [],
   "topic": "What are...",
   "depth": "brief",
+  "mode": "single",
   "sourceCount": 2,
-  "processingTimeMs": 4200
+  "processingTimeMs": 4200,
+  "timings": { "fetchMs": 640, "condenseMs": 0, "llmMs": 3510, "parseMs": 4 }
+}
+\`\`\`
+\`timings\` splits processingTimeMs into source loading, condensing, waiting on the model and parsing its output.
+Every response carries an \`X-Request-Id\` header (yours, if you sent one); quote it when reporting a problem.
+
+### POST /synthesize/stream
+Same request body as /synthesize, but the response is a Server-Sent Events stream:
+- \`progress\` — \`{ "stage": "search" | "fetch" | "condense" | "extract" | "synthesize" }\` (search: search sources only;
+  extract: pipeline mode only)
+- \`source\` — one per source once fetched, in completion order: \`{ "id", "label", "url", "chars", "error", "fetchStatus" }\`
+- \`token\` — LLM output as it is generated: \`{ "text": "..." }\`, with \`sourceId\` during extraction
+- \`result\` — the final response, identical to /synthesize
+- \`error\` — \`{ "status": 503, "error": "...", ... }\` if the run fails
+
+### POST /verify
+Fact-check one claim against 1–8 sources. Same sources, provider/model/temperature, \`cache\` and
+\`minSuccessfulSources\` fields as /synthesize, plus the \`claim\` (5–${MAX_CLAIM_CHARS} chars):
+\`\`\`json
+{
+  "claim": "Heat pumps keep working below -20 °C",
+  "sources": [{ "type": "url", "content": "https://example.com/field-trial" }, { "type": "text", "content": "..." }]
 }
 \`\`\`
+Response:
+\`\`\`json
+{
+  "claim": "Heat pumps keep working below -20 °C",
+  "verdict": "supported",
+  "confidence": 0.8,
+  "explanation": "The field trial measured it directly; the survey does not cover temperatures that low.",
+  "sources": [
+    { "id": 0, "label": "Field trial", "verdict": "supports", "verified": true,
+      "quotes": [{ "quote": "kept heating at -25 °C", "verified": true }],
+      "explanation": "Reports heating output at -25 °C.", "error": null, "fetchStatus": { ... } },
+    { "id": 1, "label": "Source 2", "verdict": "not_mentioned", "verified": true, "quotes": [], "explanation": "..." }
+  ],
+  "validation": { "valid": true, "retries": 0, "errors": [], "defaultedFields": [] },
+  "sourceCount": 2,
+  "processingTimeMs": 3100
+}
+\`\`\`
+- Source verdicts: "supports" | "refutes" | "not_mentioned" (null for a source that failed to load).
+- Overall verdict: "supported" | "refuted" | "mixed" | "not_enough_evidence", with \`confidence\` 0–1.
+- Quotes are checked against the source text like synthesis citations. A "supports" or "refutes" verdict
+  has \`verified: false\` when it has no quotes or any quote could not be found in the source.
+- Also returned: \`llm\`, \`cache\`, \`context\`, \`warnings\` and \`timings\`, as for /synthesize.
+
+### Export
+- \`POST /synthesize\` with \`format\` returns a Markdown report, a standalone HTML report, or BibTeX / CSL-JSON
+  entries for the sources (title, author, date, site and URL from their metadata) instead of JSON.
+- \`GET /jobs/:id/result?format=...\` and \`GET /projects/:id?format=...\` do the same for stored results.
+- \`POST /export?format=...\` with \`{ "result": <a /synthesize response> }\` renders a result you already have.
+
+### Background jobs
+For long runs or short client timeouts, queue the synthesis instead of waiting on it:
+- \`POST /jobs\` — same body as /synthesize. Returns 202 with \`{ "id", "status": "queued", ... }\` right away.
+- \`GET /jobs/:id\` — \`status\` is queued | running | completed | failed | cancelled.
+  \`result\` holds the /synthesize response once completed; \`error\` holds the error body if failed.
+- \`DELETE /jobs/:id\` — cancels a queued/running job (aborting its Ollama request), or deletes a finished one.
+- \`GET /jobs?limit=20\` — most recent jobs, newest first.
+
+Job results are stored on disk and survive a restart.
+
+### Projects
+Keep a synthesis and grow it over time, past the 8-source limit:
+- \`POST /projects\` — same body as /synthesize plus \`"name"\`. Runs the synthesis and saves it (201).
+- \`POST /projects/:id/sources\` — \`{ "sources": [...] }\` with 1–8 new sources. The current themes, consensus and
+  contradictions are revised with the new sources rather than regenerated. Returns a \`diff\`: themes added/removed,
+  points added/removed/updated, \`movedToContradictions\` (consensus points the new sources dispute),
+  \`movedToConsensus\`, and the confidence before/after. Points keep a stable \`id\` across revisions.
+- \`GET /projects/:id\` — current state plus \`history\` (one entry with its diff per revision).
+- \`GET /projects\`, \`DELETE /projects/:id\`.
+
+### Cache
+Fetched URL text and LLM output are cached on disk for ${CACHE_TTL_SECONDS}s. Expired URL entries are revalidated
+with ETag / Last-Modified. Each response has \`cache\`: \`{ "mode", "sources": [{ "id", "status" }], "llm": { "hits", "misses" } }\`
+where status is hit | revalidated | miss | bypass.
+- \`GET /cache/stats\` — entries, bytes and hit/miss counters per cache (url, llm)
+- \`DELETE /cache\` — clear everything, or one cache with \`?type=url\` / \`?type=llm\`
 
 ## Other Endpoints
 - \`GET /health\` — Status + model availability
@@ -191,9 +970,33 @@ Fields:
 - \`GET /\` — Browser UI
 
 ## Notes
-- Uses local Ollama (${MODEL}) — free, private, no rate limits
-- URL sources are fetched and text-extracted automatically
+- Uses local inference (default: ${llm.defaultProvider} / ${llm.get(llm.defaultProvider).defaultModel}) — free and private
+- URL sources are fetched and text-extracted automatically, including links to PDF and DOCX files.
+  HTML pages are reduced to their main article content (no navigation, banners, comments or sidebars).
+- URL fetching is restricted: http/https only, no private, loopback or link-local addresses (checked after
+  DNS resolution, again on every redirect and on the address actually connected to), responses capped at ${Math.round(fetchPolicy.maxBytes / 1048576)} MB. A rejected URL comes
+  back with \`error: "Blocked: ..."\` on its entry in \`sources\`.
+- Sources are fetched ${FETCH_CONCURRENCY} at a time. Timeouts, network errors, 429 and 5xx responses are retried
+  up to ${FETCH_RETRIES} times with exponential backoff. \`fetchStatus\` on each source has the HTTP status, bytes,
+  duration, attempts and error. Sources that fail to load are left out of the prompt and come back with
+  \`quality: "low"\` and an empty summary.
+- Each source's \`metadata\` has the extracted title, author, published date and canonical URL (null when
+  unknown). The title replaces the generic "Source N" label unless you pass your own \`label\`.
+- Long sources (over ${CHUNK_CHARS} chars, less for small-context models) are split into chunks, summarized
+  chunk by chunk and merged. At most ${MAX_CHUNKS} chunks per source are processed; \`truncated: true\` means
+  part of the text was dropped: later chunks, chunks whose summary failed (\`chunksFailed\`), or a
+  failed merge of the partial summaries.
+- Prompts are sized to the model's context window (capped at ${MAX_CONTEXT_TOKENS} tokens). If the sources don't
+  fit, they are trimmed, keeping more of the ones that match the topic. \`context.trimmedSources\` and
+  \`warnings\` say which sources were cut and by how much; fewer or shorter sources avoid it.
 - Quality scores: high / medium / low based on content density
+- The model's output is validated against the JSON Schema in \`GET /schema\` (\`modelOutputSchema\`;
+  \`pipelineOutputSchemas\` for the two passes of pipeline mode).
+  Invalid output is sent back to the model with the errors, up to ${MAX_REPAIR_RETRIES} times.
+  \`validation.retries\` says how many repairs it took; \`validation.defaultedFields\` lists fields that were
+  still invalid and got a default value (e.g. \`confidence\` → 0.7) — treat those values as made up.
+- Every consensus/contradiction point cites source ids with a verbatim quote. Quotes are checked
+  against the source text the model was given; \`verified: false\` means a quote could not be found there.
 - Processing time scales with source count and depth setting
 `);
 });
@@ -216,24 +1019,186 @@ app.get('/schema', (req, res) => {
             minItems: 2,
             maxItems: 8,
             items: {
-              type: { type: 'string', enum: ['url', 'text'] },
-              content: { type: 'string', description: 'URL or raw text' },
+              type: { type: 'string', enum: ['url', 'text', 'file', ...(search ? ['search'] : [])] },
+              content: { type: 'string', description: `URL, raw text, or base64-encoded file (PDF, DOCX, Markdown, plain text)${search ? ', or a search query' : ''}` },
+              ...(search && {
+                maxResults: { type: 'integer', required: false, minimum: 1, default: SEARCH_MAX_RESULTS, description: 'search sources: results to use; counts toward the 8-source limit' },
+              }),
+              filename: { type: 'string', required: false, description: 'file sources: original filename, used to detect the format' },
+              mimeType: { type: 'string', required: false, description: 'file sources: MIME type, used to detect the format' },
             },
           },
           topic: { type: 'string', required: false, description: 'Focus question or topic' },
           depth: { type: 'string', enum: ['brief', 'detailed'], default: 'brief' },
+          mode: { type: 'string', enum: MODES, default: 'single', description: 'pipeline: extract each source in its own model call, then synthesize across the extractions' },
+          provider: { type: 'string', enum: llm.list().map(p => p.name), default: llm.defaultProvider },
+          model: { type: 'string', description: 'Must be on the provider\'s allowlist (see /health)' },
+          temperature: { type: 'number', minimum: 0, maximum: llm.maxTemperature, default: 0.2 },
+          cache: { type: 'string', enum: ['default', 'bypass'], default: 'default' },
+          format: { type: 'string', enum: ['json', ...Object.keys(EXPORT_FORMATS)], default: 'json', description: 'Response format; also ?format= or the Accept header' },
+          minSuccessfulSources: { type: 'integer', minimum: 1, default: MIN_SUCCESSFUL_SOURCES, description: 'Fail with 422 before synthesis when fewer sources load' },
         },
         response: {
           synthesis: 'string — overall synthesis paragraph',
           keyThemes: 'string[] — 3–6 main themes across all sources',
-          consensus: 'string[] — points where sources agree',
-          contradictions: 'string[] — points where sources disagree or contradict',
-          sources: 'array — per-source summary + quality score',
+          consensus: 'claim[] — points where sources agree',
+          contradictions: 'claim[] — points where sources disagree or contradict',
+          sources: 'array — per-source summary + quality score, metadata, error (fetch/extraction failure or fetch-policy block), fetchStatus, chunksProcessed/chunksTotal/chunksFailed and truncated flag for long sources',
+          extractions: 'extraction[] — pipeline mode only: what was extracted from each loaded source',
+          search: '[{ query, backend, durationMs, results: [{ rank, url, title, snippet, used, skipped: invalid-url | duplicate-url | duplicate-domain | limit | null, sourceId }] }] — only when the request had search sources',
           confidence: 'number 0–1 — synthesis confidence',
+          llm: '{ provider, model, temperature } — backend that produced the synthesis',
+          cache: '{ mode, sources: [{ id, status: hit | revalidated | miss | bypass }], llm: { hits, misses } }',
+          validation: '{ valid, retries, errors, defaultedFields } — schema check of the model output; defaultedFields lists values that were filled in rather than produced by the model',
+          context: '{ contextTokens, modelContextTokens, maxResponseTokens, estimatedPromptTokens, trimmedSources: [{ id, label, chars, keptChars, relevance }] } — how the prompt was fitted to the model context window; pipeline mode adds trimmedExtractions',
+          warnings: 'string[] — e.g. sources trimmed to fit the context window',
           topic: 'string — the topic used',
           depth: 'string — depth used',
+          mode: 'string — single | pipeline',
           sourceCount: 'number',
           processingTimeMs: 'number',
+          timings: '{ fetchMs, condenseMs, llmMs, parseMs } — processingTimeMs by stage; pipeline mode adds extractMs',
+        },
+        modelOutputSchema: synthesisOutputSchema,
+        pipelineOutputSchemas: { extraction: sourceExtractionSchema, synthesis: pipelineSynthesisOutputSchema },
+        types: {
+          metadata: {
+            title: 'string | null — page <title>/og:title, or PDF title',
+            author: 'string | null',
+            publishedDate: 'string | null — as published by the page (usually ISO 8601)',
+            canonicalUrl: 'string | null — <link rel="canonical">, og:url, or the final fetched URL',
+            siteName: 'string | null',
+          },
+          fetchStatus: {
+            ok: 'boolean — false when the source could not be loaded (it was left out of the synthesis)',
+            status: 'number | null — HTTP status of the URL fetch',
+            bytes: 'number — size of the fetched body, file or text',
+            durationMs: 'number — time spent loading, including retries',
+            attempts: 'number — fetch attempts (0 for text sources)',
+            cache: 'string | null — hit | revalidated | miss | bypass for URL sources',
+            error: 'string | null',
+          },
+          claim: {
+            point: 'string — the consensus or contradiction point',
+            citations: 'array of { sourceId: number, quote: string, verified: boolean }',
+            verified: 'boolean — true when every quote was found verbatim in its source',
+          },
+          extraction: {
+            sourceId: 'number',
+            label: 'string',
+            summary: 'string',
+            quality: 'string — high | medium | low',
+            claims: 'array of { claim: string, quote: string, verified: boolean } — claims with unverified quotes are not used for the synthesis',
+            entities: `array of { name: string, type: ${ENTITY_TYPES.join(' | ')} }`,
+            error: 'string | null — why the extraction failed; a failed extraction has default fields and is left out of the synthesis',
+            validation: '{ valid, retries, errors } — schema check of this extraction',
+          },
+        },
+      },
+      verify: {
+        method: 'POST',
+        path: '/verify',
+        description: 'Check whether 1–8 sources support, refute or do not mention a claim',
+        request: {
+          claim: { type: 'string', required: true, minLength: 5, maxLength: MAX_CLAIM_CHARS, description: 'The statement to check' },
+          sources: 'as for synthesize, but 1–8 items',
+          'provider, model, temperature, cache, minSuccessfulSources': 'as for synthesize',
+        },
+        response: {
+          claim: 'string',
+          verdict: `string — ${CLAIM_VERDICTS.join(' | ')}`,
+          confidence: 'number 0–1 — confidence in the overall verdict',
+          explanation: 'string — how the sources were weighed',
+          sources: `array — per source: { id, label, verdict: ${SOURCE_VERDICTS.join(' | ')} | null (failed to load), quotes: [{ quote, verified }], verified, explanation, url, filename, metadata, error, fetchStatus, chunksProcessed, chunksTotal, chunksFailed, truncated }`,
+          'search, validation, llm, cache, context, warnings, sourceCount, processingTimeMs, timings': 'as for synthesize',
+        },
+        modelOutputSchema: verifyOutputSchema,
+      },
+      jobs: {
+        create: { method: 'POST', path: '/jobs', request: 'same as synthesize', response: 'jobSummary (202)' },
+        list: { method: 'GET', path: '/jobs', query: { limit: 'number 1–100, default 20' }, response: '{ jobs: jobSummary[] }' },
+        get: { method: 'GET', path: '/jobs/:id', response: 'jobSummary + { result, error }' },
+        result: { method: 'GET', path: '/jobs/:id/result', query: { format: 'export format' }, response: 'the job result (409 until completed)' },
+        cancel: { method: 'DELETE', path: '/jobs/:id', response: 'jobSummary' },
+        jobSummary: {
+          id: 'string',
+          status: 'string — queued | running | completed | failed | cancelled',
+          stage: 'string — current stage while running (search | fetch | condense | extract | synthesize)',
+          topic: 'string | null',
+          sourceCount: 'number',
+          createdAt: 'ISO timestamp',
+          startedAt: 'ISO timestamp | null',
+          finishedAt: 'ISO timestamp | null',
+        },
+      },
+      projects: {
+        create: { method: 'POST', path: '/projects', request: 'same as synthesize + { name: string }', response: 'project (201)' },
+        list: { method: 'GET', path: '/projects', response: '{ projects: [{ id, name, topic, depth, revision, sourceCount, createdAt, updatedAt }] }' },
+        get: { method: 'GET', path: '/projects/:id', query: { format: 'export format' }, response: 'project' },
+        addSources: {
+          method: 'POST',
+          path: '/projects/:id/sources',
+          request: '{ sources: 1–8 items as in synthesize, minSuccessfulSources?, cache?, provider?, model?, temperature? } — LLM options default to the project\'s',
+          response: '{ revision, diff, sources (the new ones, with fetchStatus), search?, validation, llm, cache, context, warnings, processingTimeMs, timings, project }',
+          errors: '409 while another update of the same project is running',
+        },
+        delete: { method: 'DELETE', path: '/projects/:id', response: 'project summary' },
+        project: {
+          id: 'string',
+          name: 'string',
+          'topic, depth, llm': 'as used by the synthesis',
+          revision: 'number — 1 on creation, +1 per added batch of sources',
+          'synthesis, keyThemes, confidence': 'current values',
+          'consensus, contradictions': 'claim[] — each with a stable id ("c1", ...) that follows the point across revisions',
+          sources: 'every loaded source so far, as in synthesize, plus addedInRevision',
+          history: '[{ revision, at, addedSources, failedSources, search?, diff, validation, llm, processingTimeMs }]',
+        },
+        diff: {
+          keyThemes: '{ added: string[], removed: string[] }',
+          consensus: '{ added: claim[], removed: claim[], updated: [{ id, before, after }] }',
+          contradictions: '{ added: claim[], removed: claim[], updated: [{ id, before, after }] }',
+          movedToContradictions: '[{ id, before, after }] — consensus points the new sources dispute',
+          movedToConsensus: '[{ id, before, after }] — contradictions the new sources settle',
+          synthesisChanged: 'boolean',
+          confidence: '{ before, after }',
+          sourcesAdded: 'number[] — ids of the sources this revision added',
+        },
+      },
+      auth: {
+        enabled: auth.enabled,
+        headers: 'Authorization: Bearer <key> or X-API-Key: <key>',
+        public: PUBLIC_PATHS.map(p => `GET ${p}`),
+        me: { method: 'GET', path: '/auth/me', response: '{ enabled, name, admin, rateLimit: { requests, windowSeconds }, maxConcurrent, usage: { requestsInWindow, active } }' },
+        errors: '401 missing/invalid key, 403 admin-only route, 429 rate limit (Retry-After) or concurrency quota',
+      },
+      metrics: {
+        method: 'GET',
+        path: '/metrics',
+        response: 'Prometheus text format: request counts by status, fetch and LLM latency, token counts, parse failures, stage durations',
+      },
+      requestId: 'X-Request-Id response header on every response; a valid X-Request-Id request header is kept',
+      cache: {
+        stats: { method: 'GET', path: '/cache/stats', response: '{ ttlSeconds, namespaces: { url|llm: { entries, stale, bytes, hits, misses } } }' },
+        clear: { method: 'DELETE', path: '/cache', query: { type: 'url | llm (optional)' }, response: '{ deleted: number }', note: 'needs an admin key when auth is enabled' },
+      },
+      export: {
+        method: 'POST',
+        path: '/export',
+        query: { format: 'export format' },
+        request: '{ result: a /synthesize response }',
+        formats: Object.fromEntries(Object.entries(EXPORT_FORMATS).map(([name, f]) => [name, f.mimeType])),
+        description: 'Render a result as a Markdown or HTML report, or as BibTeX / CSL-JSON entries for its sources',
+      },
+      synthesizeStream: {
+        method: 'POST',
+        path: '/synthesize/stream',
+        description: 'Same request as /synthesize, streamed as Server-Sent Events',
+        events: {
+          progress: '{ stage: "search" | "fetch" | "condense" | "extract" | "synthesize" }',
+          source: '{ id, label, url, chars, error, fetchStatus } — once per fetched source, in completion order',
+          token: '{ text, sourceId? } — LLM output as it is generated; sourceId is set while a source is being extracted',
+          result: 'final response, same shape as /synthesize',
+          error: '{ status, error, detail? | raw? }',
         },
       },
     },
@@ -242,70 +1207,554 @@ app.get('/schema', (req, res) => {
 
 // ─── Synthesize ───────────────────────────────────────────────────────────────
 
-app.post('/synthesize', async (req, res) => {
-  const start = Date.now();
+function httpError(status, error, extra = {}) {
+  return Object.assign(new Error(error), { status, body: { error, ...extra } });
+}
 
-  const { sources, topic, depth = 'brief' } = req.body || {};
+// The response format asked for with ?format=, a `format` body field or the
+// Accept header. Resolves to { format } ("json" or a key of EXPORT_FORMATS) or { error }.
+function requestedFormat(req) {
+  const names = ['json', ...Object.keys(EXPORT_FORMATS)];
+  const explicit = req.query.format ?? req.body?.format;
+  if (explicit !== undefined) {
+    return names.includes(explicit) ? { format: explicit } : { error: `format must be one of: ${names.join(', ')}` };
+  }
+  const mimeTypes = ['application/json', ...Object.values(EXPORT_FORMATS).map(f => f.mimeType)];
+  const accepted = req.accepts(mimeTypes);
+  return { format: Object.keys(EXPORT_FORMATS).find(name => EXPORT_FORMATS[name].mimeType === accepted) || 'json' };
+}
+
+// Send a synthesis result (or project) as JSON or rendered in an export format
+function sendResult(res, format, result, { title } = {}) {
+  if (format === 'json') return res.json(result);
+  const { mimeType, render } = EXPORT_FORMATS[format];
+  res.type(`${mimeType}; charset=utf-8`).send(render(result, { title }));
+}
 
-  // Validate
-  if (!Array.isArray(sources) || sources.length < 2) {
-    return res.status(400).json({ error: 'sources must be an array of at least 2 items' });
+function validateSynthesisRequest(body) {
+  if (body?.mode !== undefined && !MODES.includes(body.mode)) {
+    return `mode must be one of: ${MODES.join(', ')}`;
   }
-  if (sources.length > 8) {
-    return res.status(400).json({ error: 'Maximum 8 sources allowed per request' });
+  return validateSources(body, 2) || llm.resolve(body).error || null;
+}
+
+// How many sources a request's `sources` stand for: a search source counts as
+// the maxResults URL sources it can turn into
+function expectedSourceCount(sources) {
+  return sources.reduce((n, s) =>
+    n + (s?.type === 'search' ? (Number.isInteger(s.maxResults) ? s.maxResults : SEARCH_MAX_RESULTS) : 1), 0);
+}
+
+// Checks body.sources (between `min` and MAX_SOURCES of them, see
+// expectedSourceCount) and the per-request source options. Returns an error
+// message, or null.
+function validateSources(body, min) {
+  const { sources } = body || {};
+  const searchNote = Array.isArray(sources) && sources.some(s => s?.type === 'search')
+    ? ' (a search source counts as its maxResults)'
+    : '';
+  if (!Array.isArray(sources) || expectedSourceCount(sources) < min) {
+    return `sources must be an array of at least ${min} item${min === 1 ? '' : 's'}${searchNote}`;
+  }
+  if (expectedSourceCount(sources) > MAX_SOURCES) {
+    return `Maximum ${MAX_SOURCES} sources allowed per request${searchNote}`;
   }
   for (const [i, s] of sources.entries()) {
-    if (!s.type || !['url', 'text'].includes(s.type)) {
-      return res.status(400).json({ error: `sources[${i}].type must be "url" or "text"` });
+    if (!s.type || !['url', 'text', 'file', 'search'].includes(s.type)) {
+      return `sources[${i}].type must be "url", "text", "file" or "search"`;
+    }
+    if (s.type === 'search') {
+      if (!search) return `sources[${i}]: search sources need a search backend (SEARCH_BACKEND)`;
+      if (typeof s.content !== 'string' || s.content.trim().length < 3 || s.content.length > 500) {
+        return `sources[${i}].content must be a search query of 3–500 chars`;
+      }
+      if (s.maxResults !== undefined && (!Number.isInteger(s.maxResults) || s.maxResults < 1)) {
+        return `sources[${i}].maxResults must be a positive integer`;
+      }
+      continue;
     }
     if (!s.content || typeof s.content !== 'string' || s.content.trim().length < 10) {
-      return res.status(400).json({ error: `sources[${i}].content is required and must be at least 10 chars` });
+      return `sources[${i}].content is required and must be at least 10 chars`;
+    }
+    if (s.type === 'file' && !/^[A-Za-z0-9+/=\s]+$/.test(s.content)) {
+      return `sources[${i}].content must be base64-encoded for file sources`;
     }
   }
+  const count = expectedSourceCount(sources);
+  if (body.minSuccessfulSources !== undefined && (!Number.isInteger(body.minSuccessfulSources)
+    || body.minSuccessfulSources < 1 || body.minSuccessfulSources > count)) {
+    return `minSuccessfulSources must be an integer between 1 and ${count}`;
+  }
+  if (body.cache !== undefined && !['default', 'bypass'].includes(body.cache)) {
+    return 'cache must be "default" or "bypass"';
+  }
+  return null;
+}
 
-  // Fetch URL sources
-  const fetched = [];
-  for (const [i, s] of sources.entries()) {
-    if (s.type === 'url') {
-      try {
-        const text = await fetchUrl(s.content);
-        fetched.push({ id: i, label: s.label || `Source ${i + 1} (${s.content})`, text, url: s.content });
-      } catch (err) {
-        fetched.push({ id: i, label: s.label || `Source ${i + 1}`, text: '', error: err.message, url: s.content });
+// Load one source into { id, label, text, url?, filename?, metadata?, error?, fetchStatus }.
+// Never throws for a bad source (only when the run is aborted): failures are
+// reported in `error` and `fetchStatus`. URL fetches that fail with a transient
+// error (timeout, network error, 429, 5xx) are retried with exponential backoff.
+async function loadSource(s, i, { signal, cacheState }) {
+  const started = Date.now();
+  const status = (ok, extra) => ({
+    ok, status: null, bytes: 0, durationMs: Date.now() - started, attempts: 1, cache: null, error: null, ...extra,
+  });
+
+  if (s.type === 'text') {
+    return { id: i, label: s.label || `Source ${i + 1}`, text: s.content,
+      fetchStatus: status(true, { bytes: Buffer.byteLength(s.content), attempts: 0 }) };
+  }
+
+  if (s.type === 'file') {
+    const label = s.label || `Source ${i + 1}${s.filename ? ` (${s.filename})` : ''}`;
+    const buffer = Buffer.from(s.content, 'base64');
+    try {
+      const { text, metadata } = await extractDocument(buffer, { filename: s.filename, mimeType: s.mimeType });
+      if (!text.trim()) throw new Error('No text could be extracted');
+      return { id: i, label: s.label || metadata.title || label, text, filename: s.filename, metadata,
+        fetchStatus: status(true, { bytes: buffer.length }) };
+    } catch (err) {
+      return { id: i, label, text: '', error: err.message, filename: s.filename,
+        fetchStatus: status(false, { bytes: buffer.length, error: err.message }) };
+    }
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const { text, metadata, status: httpStatus, bytes, cache: cacheStatus } = await fetchUrl(s.content, { signal, cacheState });
+      if (!text.trim()) throw new Error(`No text could be extracted from ${s.content}`);
+      return {
+        id: i, label: s.label || metadata.title || `Source ${i + 1} (${s.content})`, text, url: s.content, metadata,
+        fetchStatus: status(true, { status: httpStatus ?? null, bytes: bytes ?? Buffer.byteLength(text), attempts: attempt, cache: cacheStatus }),
+      };
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      if (err.transient && attempt <= FETCH_RETRIES) {
+        log.debug('Retrying source fetch', { sourceId: i, url: s.content, attempt, error: err.message });
+        await sleep(FETCH_RETRY_DELAY_MS * 2 ** (attempt - 1), undefined, { signal });
+        continue;
       }
-    } else {
-      fetched.push({ id: i, label: s.label || `Source ${i + 1}`, text: s.content.slice(0, 12000) });
+      return { id: i, label: s.label || `Source ${i + 1}`, text: '', error: err.message, url: s.content,
+        fetchStatus: status(false, { status: err.status ?? null, attempts: attempt, error: err.message }) };
     }
   }
+}
 
-  // Build synthesis prompt
+// Replace each `search` source with URL sources for its top maxResults results,
+// in place. Results whose URL is already in the request, or whose domain an
+// earlier result took, are passed over (see pickResults in lib/search.js).
+// Resolves with the expanded sources and, for the response's `search`, every
+// result found, with whether it was used and as which source id.
+async function expandSearches(sources, { firstId, onEvent, signal }) {
+  const searches = [];
+  if (!sources.some(s => s.type === 'search')) return { sources, searches };
+  // The request's own URLs count as picked: a search skips them and their domains
+  const given = sources.filter(s => s.type === 'url' && normalizeUrl(s.content)).map(s => s.content);
+  const seenUrls = new Set(given.map(normalizeUrl));
+  const seenDomains = new Set(given.map(domainOf));
+  const expanded = [];
+  for (const s of sources) {
+    if (s.type !== 'search') {
+      expanded.push(s);
+      continue;
+    }
+    const query = s.content.trim();
+    const limit = s.maxResults ?? SEARCH_MAX_RESULTS;
+    onEvent('progress', { stage: 'search', query });
+    const started = Date.now();
+    let results;
+    try {
+      // Ask for extra results, since duplicates are passed over
+      results = await search.search(query, { limit: limit * 3, signal });
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      throw httpError(503, 'Search unavailable', { backend: search.name, query, detail: err.message });
+    }
+    const picked = pickResults(results, { limit, seenUrls, seenDomains }).map(r => {
+      if (!r.used) return { ...r, sourceId: null };
+      expanded.push({ type: 'url', content: r.url });
+      return { ...r, sourceId: firstId + expanded.length - 1 };
+    });
+    log.debug('Search', { backend: search.name, query, results: results.length,
+      used: picked.filter(r => r.used).length, durationMs: Date.now() - started });
+    searches.push({ query, backend: search.name, durationMs: Date.now() - started, results: picked });
+  }
+  return { sources: expanded, searches };
+}
+
+// How many of a request's sources have to load (and, in pipeline mode, be
+// extracted) for it to go ahead
+function requiredSources(body) {
+  return body.minSuccessfulSources ?? Math.min(MIN_SUCCESSFUL_SOURCES, expectedSourceCount(body.sources));
+}
+
+// Fetch / extract the request's sources, FETCH_CONCURRENCY at a time, and condense
+// long ones; search sources are first expanded into URL sources. Source ids start
+// at firstId. Resolves with every source (`fetched`), the ones that loaded
+// (`usable`) and the search report (`searches`); throws a 422 when fewer than
+// minSuccessfulSources loaded. Stage durations go in timings.fetchMs (which
+// includes searching) and timings.condenseMs.
+async function loadSources(body, { firstId = 0, topic, llmOptions, cacheState, onEvent, signal, timings = {} }) {
+  let started = Date.now();
+  const { sources, searches } = await expandSearches(body.sources, { firstId, onEvent, signal });
+  onEvent('progress', { stage: 'fetch', sourceCount: sources.length });
+  const fetched = await mapWithConcurrency(sources, FETCH_CONCURRENCY, async (s, i) => {
+    const f = await loadSource(s, firstId + i, { signal, cacheState });
+    if (f.error) {
+      log.warn('Source failed to load', { sourceId: f.id, url: f.url, filename: f.filename, error: f.error, attempts: f.fetchStatus.attempts });
+    }
+    onEvent('source', { id: f.id, label: f.label, url: f.url, chars: f.text.length, error: f.error, fetchStatus: f.fetchStatus });
+    return f;
+  });
+  timings.fetchMs = Date.now() - started;
+
+  // Failed sources are left out of the prompt; give up before calling the model
+  // if too few are left to synthesize from
+  const usable = fetched.filter(s => !s.error);
+  const required = requiredSources(body);
+  if (usable.length < required) {
+    throw httpError(422, 'Too few sources could be loaded', {
+      required,
+      succeeded: usable.length,
+      sources: fetched.map(f => ({ id: f.id, label: f.label, url: f.url, filename: f.filename, error: f.error || null, fetchStatus: f.fetchStatus })),
+      ...(searches.length && { search: searches }),
+    });
+  }
+
+  // Condense long sources chunk by chunk instead of truncating them. Each chunk
+  // has to fit in one summarize prompt, next to room for the summary.
+  started = Date.now();
+  const { contextTokens } = await contextWindow(llmOptions);
+  const chunkSize = Math.min(CHUNK_CHARS,
+    Math.floor((contextTokens - responseTokens('brief', contextTokens) - 2 * PROMPT_MARGIN_TOKENS) * CHARS_PER_TOKEN));
+  // A model can report a context length too small for a summarize prompt
+  if (chunkSize < MIN_CHUNK_CHARS && usable.some(s => s.text.length > chunkSize)) {
+    throw httpError(422, 'The model context window is too small to condense long sources', {
+      contextTokens, chunkChars: Math.max(chunkSize, 0), minChunkChars: MIN_CHUNK_CHARS,
+    });
+  }
+  for (const s of usable) {
+    if (s.text.length > chunkSize) onEvent('progress', { stage: 'condense', id: s.id, chars: s.text.length });
+    try {
+      Object.assign(s, await condenseSource(s.text, topic, { signal, llmOptions, cacheState, chunkSize }));
+    } catch (err) {
+      throw httpError(503, 'LLM unavailable', { detail: err.message });
+    }
+  }
+  timings.condenseMs = Date.now() - started;
+  return { fetched, usable, searches };
+}
+
+const DEPTH_INSTRUCTIONS = {
+  brief: 'Be concise. Synthesis should be 2–3 paragraphs. List 3–5 key themes.',
+  detailed: 'Provide deep analysis. Synthesis should be 3–5 paragraphs. List 5–8 key themes, multiple consensus and contradiction points.',
+};
+
+const QUALITY_INSTRUCTIONS = `- "high": detailed, specific, well-sourced content
+- "medium": general but relevant content
+- "low": thin or vague content`;
+
+// "single" asks for the whole analysis in one prompt; "pipeline" first extracts
+// each source on its own (extractSources), then synthesizes across the extractions
+const MODES = ['single', 'pipeline'];
+
+// The "--- SOURCE n (id: k): label ---" blocks that carry source text in a prompt
+function sourceBlocks(sources) {
+  return sources.map((s, idx) => {
+    const note = s.chunksTotal > 1 ? ` (condensed from ${s.chunksProcessed} of ${s.chunksTotal} parts)` : '';
+    return `--- SOURCE ${idx + 1} (id: ${s.id}): ${s.label}${note} ---\n${s.text}\n`;
+  }).join('\n');
+}
+
+// Share the context window's room for source text out among `sources` (see
+// lib/budget.js), trimming any source that gets less than its full text.
+// `prompt(sources)` builds the prompt the sources go into, and maxTokens is the
+// room kept for the answer. Returns the response's `context` report and warnings;
+// `describe` names a trimmed item in its warning.
+function fitToContext(sources, { prompt, topic, window, maxTokens, describe = t => `Source ${t.id + 1} ("${t.label}")` }) {
+  const overhead = estimateTokens(prompt(sources.map(s => ({ ...s, text: '' }))));
+  const available = window.contextTokens - maxTokens - overhead - PROMPT_MARGIN_TOKENS;
+  if (available <= 0) {
+    throw httpError(422, 'The prompt does not fit in the model context window', {
+      contextTokens: window.contextTokens, maxResponseTokens: maxTokens, promptTokens: overhead,
+    });
+  }
+
+  const needs = sources.map(s => estimateTokens(s.text));
+  const relevance = sources.map(s => topicRelevance(s.text, topic));
+  // Off-topic sources keep a third of the weight of fully on-topic ones
+  const weights = relevance.map(r => (r === null ? 1 : 0.5 + r));
+  const allowed = shareBudget(needs, weights, available);
+  const trimmed = [];
+  sources.forEach((s, i) => {
+    if (allowed[i] >= needs[i]) return;
+    const chars = s.text.length;
+    s.text = trimToTokens(s.text, allowed[i]);
+    trimmed.push({ id: s.id, label: s.label, chars, keptChars: s.text.length,
+      relevance: relevance[i] === null ? null : Math.round(relevance[i] * 100) / 100 });
+  });
+
+  return {
+    context: {
+      contextTokens: window.contextTokens,
+      modelContextTokens: window.modelContextTokens,
+      maxResponseTokens: maxTokens,
+      estimatedPromptTokens: overhead + sources.reduce((sum, s) => sum + estimateTokens(s.text), 0),
+      trimmedSources: trimmed,
+    },
+    warnings: trimmed.map(t =>
+      `${describe(t)} was trimmed from ${t.chars} to ${t.keptChars} characters to fit the ${window.contextTokens}-token context window`),
+  };
+}
+
+// The response entry for one loaded source. `modelEntry` is the model's
+// { summary, quality } for it, if any; invalid values go through orDefault.
+function sourceEntry(f, modelEntry, orDefault, { includeText = false } = {}) {
+  const s = modelEntry;
+  return {
+    id: f.id,
+    label: f.label,
+    summary: f.error ? '' : orDefault(`sources[${f.id}].summary`, s?.summary, typeof s?.summary === 'string' && s?.summary, ''),
+    quality: f.error ? 'low' : orDefault(`sources[${f.id}].quality`, s?.quality, ['high', 'medium', 'low'].includes(s?.quality), 'medium'),
+    url: f.url,
+    filename: f.filename,
+    metadata: f.metadata || null,
+    error: f.error || null,
+    fetchStatus: f.fetchStatus,
+    chunksProcessed: f.chunksProcessed ?? 0,
+    chunksTotal: f.chunksTotal ?? 0,
+    chunksFailed: f.chunksFailed ?? 0,
+    truncated: f.truncated ?? false,
+    ...(includeText && { text: f.text }),
+  };
+}
+
+// Feed a run's per-stage durations (ms) into the stage_duration_seconds histogram
+function recordTimings(timings) {
+  stageDuration.observe({ stage: 'fetch' }, timings.fetchMs / 1000);
+  stageDuration.observe({ stage: 'condense' }, timings.condenseMs / 1000);
+  if (timings.extractMs !== undefined) stageDuration.observe({ stage: 'extract' }, timings.extractMs / 1000);
+  stageDuration.observe({ stage: 'llm' }, timings.llmMs / 1000);
+  stageDuration.observe({ stage: 'parse' }, timings.parseMs / 1000);
+}
+
+// Collects the names of fields that fell back to a default value
+function defaultTracker() {
+  const defaulted = [];
+  const orDefault = (field, value, ok, fallback) => {
+    if (ok) return value;
+    defaulted.push(field);
+    return fallback;
+  };
+  return { defaulted, orDefault };
+}
+
+function extractionPrompt(source, topic) {
+  const topicLine = topic ? `Research Topic / Focus Question: ${topic}\n\n` : '';
+  return `${topicLine}You are reading one research source so that it can later be compared with other sources.
+Extract what this source says. Be specific: keep facts, figures, names and dates.
+
+Rate the source's quality as:
+${QUALITY_INSTRUCTIONS}
+
+List up to 8 of the source's main claims, most important first. Each claim needs a short quote
+(under 30 words) copied VERBATIM from the source text that supports it. Do not paraphrase quotes.
+List the people, organizations, places, products, events and concepts the source is about.
+
+SOURCE:
+${sourceBlocks([source])}
+Return ONLY a JSON object with this exact structure:
+{
+  "summary": "2–3 sentence summary of the source",
+  "quality": "high",
+  "claims": [
+    { "claim": "What the source claims, in your words", "quote": "exact words from the source" }
+  ],
+  "entities": [
+    { "name": "Name as written in the source", "type": "organization" }
+  ]
+}`;
+}
+
+// An extraction as the text of a source block in the cross-source prompt.
+// Claims whose quote is not in the source are left out, and entities come last
+// so they are the first thing cut when the blocks are trimmed to fit.
+function extractionText(extraction) {
+  const claims = extraction.claims.filter(c => c.verified);
+  return [
+    `Summary: ${extraction.summary}`,
+    `Quality: ${extraction.quality}`,
+    'Claims:',
+    ...claims.map(c => `- ${c.claim}\n  Quote: "${c.quote}"`),
+    `Entities: ${extraction.entities.map(e => `${e.name} (${e.type})`).join(', ')}`,
+  ].join('\n');
+}
+
+// Pipeline mode, stage two: the cross-source synthesis prompt over extraction
+// blocks ({ id, label, text: extractionText() }). Source summaries and quality
+// ratings were made in stage one, so the model is not asked for them again.
+function crossSourcePrompt(blocks, { topic, depth }) {
   const topicLine = topic ? `Research Topic / Focus Question: ${topic}\n\n` : '';
-  const depthInstructions = depth === 'detailed'
-    ? 'Provide deep analysis. Synthesis should be 3–5 paragraphs. List 5–8 key themes, multiple consensus and contradiction points.'
-    : 'Be concise. Synthesis should be 2–3 paragraphs. List 3–5 key themes.';
+  return `${topicLine}You are synthesizing ${blocks.length} research sources into a structured analysis.
+Each source has already been read on its own. Below is what was extracted from each one: a summary,
+a quality rating, its main claims with supporting quotes, and the entities it is about.
+
+${DEPTH_INSTRUCTIONS[depth] || DEPTH_INSTRUCTIONS.brief}
+
+Compare the sources: find the themes they share, the points they agree on and the points where they
+disagree or contradict each other. Give more weight to high-quality sources.
+
+Every consensus and contradiction point must cite the sources it relies on by id, with a quote copied
+VERBATIM from the quotes listed for that source. Do not paraphrase quotes.
+
+EXTRACTED SOURCES:
+${sourceBlocks(blocks)}
+
+Return ONLY a JSON object with this exact structure:
+{
+  "synthesis": "Overall synthesis text covering the main findings across all sources...",
+  "keyThemes": ["theme 1", "theme 2", "theme 3"],
+  "consensus": [
+    { "point": "Point sources generally agree on", "citations": [
+      { "sourceId": 0, "quote": "quote listed for source 1" },
+      { "sourceId": 1, "quote": "quote listed for source 2" }
+    ] }
+  ],
+  "contradictions": [
+    { "point": "Source A says X but Source B says Y", "citations": [
+      { "sourceId": 0, "quote": "quote saying X" },
+      { "sourceId": 1, "quote": "quote saying Y" }
+    ] }
+  ],
+  "confidence": 0.80
+}`;
+}
 
-  const sourceDocs = fetched.map((s, idx) =>
-    `--- SOURCE ${idx + 1}: ${s.label} ---\n${s.text || `[FETCH ERROR: ${s.error}]`}\n`
-  ).join('\n');
+// Pipeline mode, stage one: a separate model call per source, LLM_CONCURRENCY
+// at a time, that pulls out a summary, quality rating, quoted claims and
+// entities. Each source is fitted to the context window on its own. Claim
+// quotes are checked against the source text, and fields still invalid after
+// the repair retries are defaulted through orDefault. A source whose extraction
+// fails outright gets an all-default entry with an `error`; the request only
+// fails (with the first such error) when fewer than `required` succeed. The
+// stage's wall time goes in timings.extractMs.
+async function extractSources(sources, { topic, window, llmOptions, cacheState, onEvent, signal, timings, orDefault, required }) {
+  onEvent('progress', { stage: 'extract' });
+  const started = Date.now();
+  const maxTokens = responseTokens('brief', window.contextTokens);
+  const results = await mapWithConcurrency(sources, LLM_CONCURRENCY, async s => {
+    const fitted = fitToContext([s], { prompt: ([x]) => extractionPrompt(x, topic), topic, window, maxTokens });
+    const field = name => `extractions[${s.id}].${name}`;
+    let generated;
+    try {
+      generated = await generateStructured(extractionPrompt(s, topic), {
+        signal,
+        llmOptions,
+        cacheState,
+        maxTokens,
+        schema: sourceExtractionSchema,
+        validate: validateSourceExtraction,
+        onEvent: (event, data) => onEvent(event, { ...data, sourceId: s.id }),
+      });
+    } catch (err) {
+      if (signal?.aborted || !err.status) throw err;
+      log.warn('Source extraction failed', { sourceId: s.id, error: err.message });
+      const extraction = {
+        sourceId: s.id,
+        label: s.label,
+        summary: orDefault(field('summary'), null, false, ''),
+        quality: orDefault(field('quality'), null, false, 'medium'),
+        claims: orDefault(field('claims'), null, false, []),
+        entities: orDefault(field('entities'), null, false, []),
+        error: err.message,
+        validation: { valid: false, retries: err.body.retries ?? 0, errors: [err.body.detail || err.message] },
+      };
+      return { extraction, fitted, failure: err };
+    }
+    const { parsed, retries, errors } = generated;
+    const claims = orDefault(field('claims'), parsed.claims, Array.isArray(parsed.claims), []);
+    const entities = orDefault(field('entities'), parsed.entities, Array.isArray(parsed.entities), []);
+    const extraction = {
+      sourceId: s.id,
+      label: s.label,
+      summary: orDefault(field('summary'), parsed.summary, typeof parsed.summary === 'string' && parsed.summary, ''),
+      quality: orDefault(field('quality'), parsed.quality, ['high', 'medium', 'low'].includes(parsed.quality), 'medium'),
+      claims: claims.filter(c => typeof c?.claim === 'string' && c.claim).map(c => {
+        const quote = typeof c.quote === 'string' ? c.quote.trim() : '';
+        return { claim: c.claim, quote, verified: quoteAppearsIn(quote, s.text) };
+      }),
+      entities: entities.filter(e => typeof e?.name === 'string' && e.name)
+        .map(e => ({ name: e.name, type: ENTITY_TYPES.includes(e.type) ? e.type : 'other' })),
+      error: null,
+      validation: { valid: errors.length === 0, retries, errors },
+    };
+    return { extraction, fitted };
+  });
+  timings.extractMs = Date.now() - started;
+  const failures = results.filter(r => r.failure);
+  if (results.length - failures.length < required) throw failures[0].failure;
+  return {
+    extractions: results.map(r => r.extraction),
+    trimmedSources: results.flatMap(r => r.fitted.context.trimmedSources),
+    warnings: results.flatMap(r => r.fitted.warnings),
+  };
+}
 
-  const prompt = `${topicLine}You are synthesizing ${fetched.length} research sources into a structured analysis.
+// Runs the full fetch → condense → prompt → parse flow for a validated request.
+// Progress is reported through onEvent(event, data); failures throw httpError()s.
+// includeText adds each source's (condensed) text to its entry in `sources`.
+// In pipeline mode the sources are extracted one by one first (extractSources)
+// and the synthesis prompt carries the extractions instead of the source text.
+async function runSynthesis(body, { onEvent = () => {}, signal, includeText = false } = {}) {
+  const start = Date.now();
+  const { topic, depth = 'brief', mode = 'single' } = body;
+  const llmOptions = llm.resolve(body).options;
+  const cacheState = { bypass: body.cache === 'bypass', llm: { hits: 0, misses: 0 } };
+  const timings = { fetchMs: 0, condenseMs: 0, llmMs: 0, parseMs: 0 };
+  const { fetched, usable, searches } = await loadSources(body, { topic, llmOptions, cacheState, onEvent, signal, timings });
+
+  // Anything still invalid after the repair retries falls back to a default,
+  // and is listed in validation.defaultedFields
+  const { defaulted, orDefault } = defaultTracker();
+  const window = await contextWindow(llmOptions);
+  const extracted = mode === 'pipeline'
+    ? await extractSources(usable, {
+      topic, window, llmOptions, cacheState, onEvent, signal, timings, orDefault, required: requiredSources(body),
+    })
+    : null;
+
+  // Build synthesis prompt
+  const topicLine = topic ? `Research Topic / Focus Question: ${topic}\n\n` : '';
+  const promptFor = extracted ? blocks => crossSourcePrompt(blocks, { topic, depth }) : sources => `${topicLine}You are synthesizing ${sources.length} research sources into a structured analysis.
 
-${depthInstructions}
+${DEPTH_INSTRUCTIONS[depth] || DEPTH_INSTRUCTIONS.brief}
 
 Evaluate each source's quality as:
-- "high": detailed, specific, well-sourced content
-- "medium": general but relevant content
-- "low": thin, vague, or retrieval-failed content
+${QUALITY_INSTRUCTIONS}
+
+Every consensus and contradiction point must cite the sources it relies on by id, with a short
+quote (under 30 words) copied VERBATIM from that source's text above. Do not paraphrase quotes.
 
 SOURCES:
-${sourceDocs}
+${sourceBlocks(sources)}
 
 Return ONLY a JSON object with this exact structure:
 {
   "synthesis": "Overall synthesis text covering the main findings across all sources...",
   "keyThemes": ["theme 1", "theme 2", "theme 3"],
-  "consensus": ["Point sources generally agree on", "Another area of agreement"],
-  "contradictions": ["Source A says X but Source B says Y", "..."],
+  "consensus": [
+    { "point": "Point sources generally agree on", "citations": [
+      { "sourceId": 0, "quote": "exact words from source 1" },
+      { "sourceId": 1, "quote": "exact words from source 2" }
+    ] }
+  ],
+  "contradictions": [
+    { "point": "Source A says X but Source B says Y", "citations": [
+      { "sourceId": 0, "quote": "exact words saying X" },
+      { "sourceId": 1, "quote": "exact words saying Y" }
+    ] }
+  ],
   "sources": [
     { "id": 0, "label": "Source 1 label", "summary": "1–2 sentence summary", "quality": "high" },
     { "id": 1, "label": "Source 2 label", "summary": "1–2 sentence summary", "quality": "medium" }
@@ -313,38 +1762,652 @@ Return ONLY a JSON object with this exact structure:
   "confidence": 0.80
 }`;
 
-  let raw;
+  // Trim sources (in pipeline mode, the extractions that succeeded) to what
+  // fits in the model's context window, leaving room for the answer
+  const maxTokens = responseTokens(depth, window.contextTokens);
+  const inputs = extracted
+    ? extracted.extractions.filter(e => !e.error).map(e => ({ id: e.sourceId, label: e.label, text: extractionText(e) }))
+    : usable;
+  const fitted = fitToContext(inputs, {
+    prompt: promptFor, topic, window, maxTokens,
+    ...(extracted && { describe: t => `The extraction from source ${t.id + 1} ("${t.label}")` }),
+  });
+  const context = extracted
+    ? { ...fitted.context, trimmedSources: extracted.trimmedSources, trimmedExtractions: fitted.context.trimmedSources }
+    : fitted.context;
+  const warnings = extracted ? [...extracted.warnings, ...fitted.warnings] : fitted.warnings;
+
+  onEvent('progress', { stage: 'synthesize' });
+  const { parsed, retries, errors } = await generateStructured(promptFor(inputs), {
+    signal,
+    llmOptions,
+    cacheState,
+    onEvent,
+    timings,
+    maxTokens,
+    ...(extracted
+      ? { schema: pipelineSynthesisOutputSchema, validate: validatePipelineSynthesisOutput }
+      : {
+        check: out => (Array.isArray(out.sources) && out.sources.length !== usable.length
+          ? [`/sources must have exactly ${usable.length} items, one per source`]
+          : []),
+      }),
+  });
+
+  // Source summaries and quality come from the extractions in pipeline mode
+  // (already defaulted there, so not again), and from the model's `sources` otherwise
+  const sourceDefault = extracted ? (field, value) => value : orDefault;
+  const modelSources = extracted
+    ? extracted.extractions.map(e => ({ id: e.sourceId, summary: e.summary, quality: e.quality }))
+    : orDefault('sources', parsed.sources, Array.isArray(parsed.sources), []);
+
+  const result = {
+    synthesis: orDefault('synthesis', parsed.synthesis, typeof parsed.synthesis === 'string' && parsed.synthesis, ''),
+    keyThemes: orDefault('keyThemes', parsed.keyThemes, Array.isArray(parsed.keyThemes), []),
+    consensus: normalizeClaims(orDefault('consensus', parsed.consensus, Array.isArray(parsed.consensus), []), fetched),
+    contradictions: normalizeClaims(
+      orDefault('contradictions', parsed.contradictions, Array.isArray(parsed.contradictions), []), fetched),
+    // Match the model's entries by id, falling back to position among the usable sources
+    sources: fetched.map(f => sourceEntry(f,
+      f.error ? null : modelSources.find(m => m?.id === f.id) ?? modelSources[usable.indexOf(f)],
+      sourceDefault, { includeText })),
+    ...(extracted && { extractions: extracted.extractions }),
+    ...(searches.length && { search: searches }),
+    confidence: orDefault('confidence', parsed.confidence,
+      typeof parsed.confidence === 'number' && parsed.confidence >= 0 && parsed.confidence <= 1, 0.7),
+    validation: { valid: errors.length === 0, retries, errors, defaultedFields: defaulted },
+    llm: llmOptions,
+    cache: {
+      mode: cacheState.bypass ? 'bypass' : 'default',
+      sources: fetched.filter(f => f.fetchStatus.cache).map(f => ({ id: f.id, status: f.fetchStatus.cache })),
+      llm: cacheState.llm,
+    },
+    context,
+    warnings,
+    topic: topic || null,
+    depth,
+    mode,
+    sourceCount: fetched.length,
+    processingTimeMs: Date.now() - start,
+    timings,
+  };
+  recordTimings(timings);
+  log.info('Synthesis completed', {
+    mode,
+    sources: fetched.length,
+    loaded: usable.length,
+    retries,
+    valid: errors.length === 0,
+    processingTimeMs: result.processingTimeMs,
+    timings,
+  });
+  return result;
+}
+
+app.post('/synthesize', inferenceQuota, async (req, res) => {
+  const { format, error } = requestedFormat(req);
+  const invalid = validateSynthesisRequest(req.body) || error;
+  if (invalid) return res.status(400).json({ error: invalid });
+
   try {
-    raw = await ollamaGenerate(prompt, true);
+    sendResult(res, format, await runSynthesis(req.body));
   } catch (err) {
-    return res.status(503).json({ error: 'LLM unavailable', detail: err.message });
+    res.status(err.status || 500).json(err.body || { error: err.message });
   }
+});
+
+// Same as /synthesize, but streams progress as Server-Sent Events:
+//   progress → { stage }, source → per fetched source, token → LLM output as it
+//   arrives, result → final response body, error → { status, error, ... }
+app.post('/synthesize/stream', inferenceQuota, async (req, res) => {
+  const invalid = validateSynthesisRequest(req.body);
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const controller = new AbortController();
+  res.on('close', () => { if (!res.writableEnded) controller.abort(); });
 
-  let parsed;
   try {
-    parsed = extractJson(raw);
-  } catch {
-    return res.status(500).json({ error: 'Failed to parse LLM response', raw: raw.slice(0, 500) });
+    send('result', await runSynthesis(req.body, { onEvent: send, signal: controller.signal }));
+  } catch (err) {
+    if (!controller.signal.aborted) send('error', { status: err.status || 500, ...(err.body || { error: err.message }) });
   }
+  res.end();
+});
 
-  res.json({
-    synthesis: parsed.synthesis || '',
-    keyThemes: parsed.keyThemes || [],
-    consensus: parsed.consensus || [],
-    contradictions: parsed.contradictions || [],
-    sources: (parsed.sources || []).map((s, i) => ({
-      id: s.id ?? i,
-      label: s.label || fetched[i]?.label || `Source ${i + 1}`,
-      summary: s.summary || '',
-      quality: ['high', 'medium', 'low'].includes(s.quality) ? s.quality : 'medium',
-      url: fetched[i]?.url,
-    })),
-    confidence: typeof parsed.confidence === 'number' ? parsed.confidence : 0.7,
-    topic: topic || null,
-    depth,
+// Render a synthesis result the client already has (e.g. from /synthesize/stream)
+app.post('/export', (req, res) => {
+  const { format, error } = requestedFormat(req);
+  if (error) return res.status(400).json({ error });
+  const result = req.body?.result;
+  if (!result || typeof result.synthesis !== 'string' || !Array.isArray(result.sources)) {
+    return res.status(400).json({ error: 'result must be a synthesis result with synthesis and sources' });
+  }
+  const notList = ['keyThemes', 'consensus', 'contradictions'].find(k => result[k] != null && !Array.isArray(result[k]));
+  if (notList) return res.status(400).json({ error: `result.${notList} must be an array` });
+  sendResult(res, format, result);
+});
+
+// ─── Verify ───────────────────────────────────────────────────────────────────
+
+const MAX_CLAIM_CHARS = 1000;
+
+function validateVerifyRequest(body) {
+  const { claim } = body || {};
+  if (typeof claim !== 'string' || claim.trim().length < 5 || claim.length > MAX_CLAIM_CHARS) {
+    return `claim is required and must be 5–${MAX_CLAIM_CHARS} chars`;
+  }
+  return validateSources(body, 1) || llm.resolve(body).error || null;
+}
+
+function verifyPrompt(sources, claim) {
+  return `You are fact-checking a claim against ${sources.length} source${sources.length === 1 ? '' : 's'}.
+Judge each source only by its text below, not by what you know yourself.
+
+CLAIM: ${claim}
+
+For each source, decide whether it:
+- "supports" the claim: the source states it or clearly implies it
+- "refutes" the claim: the source states something that contradicts it
+- "not_mentioned": the source does not address the claim
+Back every "supports" and "refutes" with 1–3 short quotes (under 30 words) copied VERBATIM from that
+source's text. Do not paraphrase quotes. Give no quotes for "not_mentioned".
+
+Then give an overall verdict:
+- "supported": the sources that address the claim support it
+- "refuted": the sources that address the claim contradict it
+- "mixed": some sources support the claim and some contradict it
+- "not_enough_evidence": no source addresses the claim clearly enough
+with a confidence from 0 to 1 that the overall verdict is right.
+
+SOURCES:
+${sourceBlocks(sources)}
+
+Return ONLY a JSON object with this exact structure:
+{
+  "sources": [
+    { "id": 0, "verdict": "supports", "quotes": ["exact words from source 1"], "explanation": "One sentence on why" },
+    { "id": 1, "verdict": "not_mentioned", "quotes": [], "explanation": "One sentence on why" }
+  ],
+  "verdict": "supported",
+  "confidence": 0.80,
+  "explanation": "1–2 sentences weighing the sources against each other"
+}`;
+}
+
+// Fetch → condense → prompt → parse, like runSynthesis, but the model judges one
+// claim: a verdict per source, with quotes checked against the source text, and
+// an overall verdict. Sources are condensed and trimmed with the claim as topic.
+async function runVerification(body, { signal } = {}) {
+  const start = Date.now();
+  const claim = body.claim.trim();
+  const llmOptions = llm.resolve(body).options;
+  const cacheState = { bypass: body.cache === 'bypass', llm: { hits: 0, misses: 0 } };
+  const timings = { fetchMs: 0, condenseMs: 0, llmMs: 0, parseMs: 0 };
+  const { fetched, usable, searches } = await loadSources(body, { topic: claim, llmOptions, cacheState, onEvent: () => {}, signal, timings });
+
+  const promptFor = sources => verifyPrompt(sources, claim);
+  const window = await contextWindow(llmOptions);
+  const maxTokens = responseTokens('brief', window.contextTokens);
+  const { context, warnings } = fitToContext(usable, { prompt: promptFor, topic: claim, window, maxTokens });
+
+  const { parsed, retries, errors } = await generateStructured(promptFor(usable), {
+    signal,
+    llmOptions,
+    cacheState,
+    timings,
+    maxTokens,
+    schema: verifyOutputSchema,
+    validate: validateVerifyOutput,
+    check: out => (Array.isArray(out.sources) && out.sources.length !== usable.length
+      ? [`/sources must have exactly ${usable.length} items, one per source`]
+      : []),
+  });
+
+  const { defaulted, orDefault } = defaultTracker();
+  const modelSources = orDefault('sources', parsed.sources, Array.isArray(parsed.sources), []);
+
+  const sources = fetched.map(f => {
+    const m = f.error ? null : modelSources.find(s => s?.id === f.id) ?? modelSources[usable.indexOf(f)];
+    const verdict = f.error ? null
+      : orDefault(`sources[${f.id}].verdict`, m?.verdict, SOURCE_VERDICTS.includes(m?.verdict), 'not_mentioned');
+    const quotes = (f.error || !Array.isArray(m?.quotes) ? [] : m.quotes)
+      .filter(q => typeof q === 'string' && q.trim())
+      .map(q => ({ quote: q.trim(), verified: quoteAppearsIn(q, f.text) }));
+    return {
+      id: f.id,
+      label: f.label,
+      verdict,
+      quotes,
+      // A supports/refutes verdict only counts as verified when all its quotes are in the source
+      verified: verdict === 'not_mentioned' || (quotes.length > 0 && quotes.every(q => q.verified)),
+      explanation: f.error ? '' : orDefault(`sources[${f.id}].explanation`, m?.explanation,
+        typeof m?.explanation === 'string' && m?.explanation, ''),
+      url: f.url,
+      filename: f.filename,
+      metadata: f.metadata || null,
+      error: f.error || null,
+      fetchStatus: f.fetchStatus,
+      chunksProcessed: f.chunksProcessed ?? 0,
+      chunksTotal: f.chunksTotal ?? 0,
+      chunksFailed: f.chunksFailed ?? 0,
+      truncated: f.truncated ?? false,
+    };
+  });
+
+  const result = {
+    claim,
+    verdict: orDefault('verdict', parsed.verdict, CLAIM_VERDICTS.includes(parsed.verdict), 'not_enough_evidence'),
+    confidence: orDefault('confidence', parsed.confidence,
+      typeof parsed.confidence === 'number' && parsed.confidence >= 0 && parsed.confidence <= 1, 0.5),
+    explanation: orDefault('explanation', parsed.explanation, typeof parsed.explanation === 'string' && parsed.explanation, ''),
+    sources,
+    ...(searches.length && { search: searches }),
+    validation: { valid: errors.length === 0, retries, errors, defaultedFields: defaulted },
+    llm: llmOptions,
+    cache: {
+      mode: cacheState.bypass ? 'bypass' : 'default',
+      sources: fetched.filter(f => f.fetchStatus.cache).map(f => ({ id: f.id, status: f.fetchStatus.cache })),
+      llm: cacheState.llm,
+    },
+    context,
+    warnings,
     sourceCount: fetched.length,
     processingTimeMs: Date.now() - start,
+    timings,
+  };
+  recordTimings(timings);
+  log.info('Verification completed', {
+    sources: fetched.length,
+    loaded: usable.length,
+    verdict: result.verdict,
+    retries,
+    valid: errors.length === 0,
+    processingTimeMs: result.processingTimeMs,
+    timings,
   });
+  return result;
+}
+
+app.post('/verify', inferenceQuota, async (req, res) => {
+  const invalid = validateVerifyRequest(req.body);
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  try {
+    res.json(await runVerification(req.body));
+  } catch (err) {
+    res.status(err.status || 500).json(err.body || { error: err.message });
+  }
+});
+
+// ─── Cache ────────────────────────────────────────────────────────────────────
+
+app.get('/cache/stats', async (req, res) => {
+  res.json(await cache.stats());
+});
+
+app.delete('/cache', async (req, res) => {
+  if (req.apiKey && !req.apiKey.admin) return res.status(403).json({ error: 'Clearing the cache needs an admin API key' });
+  const { type } = req.query;
+  if (type !== undefined && !cache.namespaces.includes(type)) {
+    return res.status(400).json({ error: `type must be one of: ${cache.namespaces.join(', ')}` });
+  }
+  res.json({ deleted: await cache.clear(type) });
+});
+
+// ─── Jobs ─────────────────────────────────────────────────────────────────────
+
+const jobs = createJobStore({ dir: JOBS_DIR, run: runSynthesis, log });
+
+function jobSummary(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    stage: job.stage,
+    topic: job.request.topic || null,
+    // Until the job finishes, a search source counts as its maxResults
+    sourceCount: job.result?.sourceCount ?? expectedSourceCount(job.request.sources),
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+  };
+}
+
+app.post('/jobs', inferenceQuota, (req, res) => {
+  const invalid = validateSynthesisRequest(req.body);
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  // The job keeps the key's concurrency slot until it settles
+  const job = jobs.create(req.body, { owner: ownerOf(req), onSettled: req.takeQuotaSlot?.() });
+  log.info('Job queued', { jobId: job.id });
+  res.status(202).location(`/jobs/${job.id}`).json(jobSummary(job));
+});
+
+app.get('/jobs', (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+  res.json({ jobs: jobs.list(limit, auth.enabled ? ownerOf(req) : undefined).map(jobSummary) });
+});
+
+app.get('/jobs/:id', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job || !ownedBy(req, job)) return res.status(404).json({ error: 'Job not found' });
+  res.json({ ...jobSummary(job), result: job.result, error: job.error });
+});
+
+app.get('/jobs/:id/result', (req, res) => {
+  const { format, error } = requestedFormat(req);
+  if (error) return res.status(400).json({ error });
+  const job = jobs.get(req.params.id);
+  if (!job || !ownedBy(req, job)) return res.status(404).json({ error: 'Job not found' });
+  if (job.status !== 'completed') {
+    return res.status(409).json({ error: `Job is ${job.status}, not completed`, status: job.status });
+  }
+  sendResult(res, format, job.result);
+});
+
+app.delete('/jobs/:id', async (req, res) => {
+  const found = jobs.get(req.params.id);
+  if (!found || !ownedBy(req, found)) return res.status(404).json({ error: 'Job not found' });
+  const job = await jobs.cancel(req.params.id);
+  res.json(jobSummary(job));
+});
+
+// ─── Projects ─────────────────────────────────────────────────────────────────
+
+const projects = createProjectStore({ dir: PROJECTS_DIR, log });
+const projectsUpdating = new Set();
+
+function projectSummary(project) {
+  return {
+    id: project.id,
+    name: project.name,
+    topic: project.topic,
+    depth: project.depth,
+    revision: project.revision,
+    sourceCount: project.sources.length,
+    createdAt: project.createdAt,
+    updatedAt: project.updatedAt,
+  };
+}
+
+// The full project minus stored source text and internal counters
+function projectView(project) {
+  const { nextSourceId, nextClaimId, sources, ...rest } = project;
+  return { ...rest, sources: sources.map(({ text, ...s }) => s) };
+}
+
+// Keeps the id of each known point (at most once) and numbers every other point
+// "c<next>", "c<next + 1>", ...
+function claimIdAllocator(known = [], next = 1) {
+  const unused = new Set(known);
+  return {
+    assign: claims => claims.map(({ id, ...c }) => (unused.delete(id) ? { id, ...c } : { id: `c${next++}`, ...c })),
+    next: () => next,
+  };
+}
+
+// Merge new sources into a project: the model gets the current analysis, short
+// summaries of the earlier sources and the full text of the new ones, and returns
+// the revised analysis. Resolves with the fields to store and the response body.
+async function runProjectUpdate(project, body, { llmOptions, onEvent = () => {}, signal } = {}) {
+  const start = Date.now();
+  const revision = project.revision + 1;
+  const cacheState = { bypass: body.cache === 'bypass', llm: { hits: 0, misses: 0 } };
+  const timings = { fetchMs: 0, condenseMs: 0, llmMs: 0, parseMs: 0 };
+  const { fetched, usable, searches } = await loadSources(body, {
+    firstId: project.nextSourceId, topic: project.topic, llmOptions, cacheState, onEvent, signal, timings,
+  });
+
+  const claimsJson = claims => JSON.stringify(claims.map(c => ({
+    id: c.id,
+    point: c.point,
+    citations: c.citations.map(({ sourceId, quote }) => ({ sourceId, quote })),
+  })), null, 2);
+  const topicLine = project.topic ? `Research Topic / Focus Question: ${project.topic}\n\n` : '';
+  const promptFor = sources => `${topicLine}You are updating an existing research synthesis with ${sources.length} new source${sources.length === 1 ? '' : 's'}.
+Revise the current analysis in light of the new sources instead of starting over: keep what they do not change.
+
+${DEPTH_INSTRUCTIONS[project.depth] || DEPTH_INSTRUCTIONS.brief}
+
+CURRENT SYNTHESIS:
+${project.synthesis}
+
+CURRENT KEY THEMES:
+${project.keyThemes.map(t => `- ${t}`).join('\n')}
+
+CURRENT CONSENSUS POINTS:
+${claimsJson(project.consensus)}
+
+CURRENT CONTRADICTIONS:
+${claimsJson(project.contradictions)}
+
+EARLIER SOURCES (already analysed):
+${project.sources.map(s => `[id ${s.id}] ${s.label} — ${s.summary}`).join('\n')}
+
+NEW SOURCES:
+${sourceBlocks(sources)}
+
+Instructions:
+- Return the complete revised analysis: synthesis, keyThemes, consensus and contradictions.
+- Keep the "id" of every current point you keep or reword. If the new sources dispute a consensus point,
+  move it to "contradictions" with the same id; if they settle a contradiction, move it to "consensus" with the same id.
+- Leave "id" out for new points, and drop points that no longer hold.
+- Citations of earlier sources must reuse quotes from the current points above. Quotes from new sources
+  (under 30 words) must be copied VERBATIM from their text above.
+- "sources" lists the NEW sources only, each rated "high" (detailed, specific), "medium" (general but relevant)
+  or "low" (thin or vague).
+
+Return ONLY a JSON object with this exact structure:
+{
+  "synthesis": "Revised synthesis covering all sources so far...",
+  "keyThemes": ["theme 1", "theme 2", "theme 3"],
+  "consensus": [
+    { "id": "c1", "point": "Existing point, kept or reworded", "citations": [
+      { "sourceId": 0, "quote": "quote from the current point" }
+    ] },
+    { "point": "New point", "citations": [
+      { "sourceId": ${sources[0]?.id ?? project.nextSourceId}, "quote": "exact words from a new source" }
+    ] }
+  ],
+  "contradictions": [
+    { "id": "c2", "point": "Former consensus point the new sources dispute", "citations": [
+      { "sourceId": 1, "quote": "quote from the current point" },
+      { "sourceId": ${sources[0]?.id ?? project.nextSourceId}, "quote": "exact words from a new source that disagree" }
+    ] }
+  ],
+  "sources": [
+    { "id": ${sources[0]?.id ?? project.nextSourceId}, "label": "New source label", "summary": "1–2 sentence summary", "quality": "high" }
+  ],
+  "confidence": 0.80
+}`;
+
+  // The current synthesis stays whole; only the new sources are trimmed to fit
+  const window = await contextWindow(llmOptions);
+  const maxTokens = responseTokens(project.depth, window.contextTokens);
+  const { context, warnings } = fitToContext(usable, { prompt: promptFor, topic: project.topic, window, maxTokens });
+
+  onEvent('progress', { stage: 'synthesize' });
+  const { parsed, retries, errors } = await generateStructured(promptFor(usable), {
+    signal,
+    llmOptions,
+    cacheState,
+    onEvent,
+    timings,
+    maxTokens,
+    schema: projectUpdateOutputSchema,
+    validate: validateProjectUpdateOutput,
+    check: out => (Array.isArray(out.sources) && out.sources.length !== usable.length
+      ? [`/sources must have exactly ${usable.length} items, one per new source`]
+      : []),
+  });
+
+  // Fields still invalid after the repair retries keep their previous value
+  const { defaulted, orDefault } = defaultTracker();
+  const allSources = [...project.sources, ...usable];
+  const ids = claimIdAllocator([...project.consensus, ...project.contradictions].map(c => c.id), project.nextClaimId);
+  const claims = field => ids.assign(normalizeClaims(
+    orDefault(field, parsed[field], Array.isArray(parsed[field]), project[field]), allSources, { keepIds: true }));
+
+  const after = {
+    synthesis: orDefault('synthesis', parsed.synthesis, typeof parsed.synthesis === 'string' && parsed.synthesis, project.synthesis),
+    keyThemes: orDefault('keyThemes', parsed.keyThemes, Array.isArray(parsed.keyThemes), project.keyThemes),
+    consensus: claims('consensus'),
+    contradictions: claims('contradictions'),
+    confidence: orDefault('confidence', parsed.confidence,
+      typeof parsed.confidence === 'number' && parsed.confidence >= 0 && parsed.confidence <= 1, project.confidence),
+  };
+
+  const modelSources = orDefault('sources', parsed.sources, Array.isArray(parsed.sources), []);
+  const entries = fetched.map(f => sourceEntry(f,
+    f.error ? null : modelSources.find(m => m?.id === f.id) ?? modelSources[usable.indexOf(f)],
+    orDefault, { includeText: true }));
+  const added = entries.filter(e => !e.error).map(e => ({ ...e, addedInRevision: revision }));
+  const diff = { ...diffSyntheses(project, after), sourcesAdded: added.map(s => s.id) };
+  const validation = { valid: errors.length === 0, retries, errors, defaultedFields: defaulted };
+  const processingTimeMs = Date.now() - start;
+  recordTimings(timings);
+
+  return {
+    fields: {
+      ...after,
+      revision,
+      llm: llmOptions,
+      sources: [...project.sources, ...added],
+      nextSourceId: project.nextSourceId + fetched.length,
+      nextClaimId: ids.next(),
+      history: [...project.history, {
+        revision,
+        at: new Date().toISOString(),
+        addedSources: diff.sourcesAdded,
+        failedSources: entries.filter(e => e.error).map(e => ({ id: e.id, error: e.error })),
+        ...(searches.length && { search: searches }),
+        diff,
+        validation,
+        llm: llmOptions,
+        processingTimeMs,
+      }],
+    },
+    response: {
+      revision,
+      diff,
+      sources: entries.map(({ text, ...e }) => e),
+      ...(searches.length && { search: searches }),
+      validation,
+      llm: llmOptions,
+      cache: {
+        mode: cacheState.bypass ? 'bypass' : 'default',
+        sources: fetched.filter(f => f.fetchStatus.cache).map(f => ({ id: f.id, status: f.fetchStatus.cache })),
+        llm: cacheState.llm,
+      },
+      context,
+      warnings,
+      processingTimeMs,
+      timings,
+    },
+  };
+}
+
+// Save a new synthesis as a project. Same body as /synthesize, plus a `name`.
+app.post('/projects', inferenceQuota, async (req, res) => {
+  const { name } = req.body || {};
+  if (typeof name !== 'string' || !name.trim() || name.length > 200) {
+    return res.status(400).json({ error: 'name is required and must be at most 200 chars' });
+  }
+  const invalid = validateSynthesisRequest(req.body);
+  if (invalid) return res.status(400).json({ error: invalid });
+  try {
+    const result = await runSynthesis(req.body, { includeText: true });
+    const ids = claimIdAllocator();
+    const loaded = result.sources.filter(s => !s.error).map(s => ({ ...s, addedInRevision: 1 }));
+    const project = await projects.create({
+      owner: ownerOf(req),
+      name: name.trim(),
+      topic: result.topic,
+      depth: result.depth,
+      llm: result.llm,
+      revision: 1,
+      synthesis: result.synthesis,
+      keyThemes: result.keyThemes,
+      consensus: ids.assign(result.consensus),
+      contradictions: ids.assign(result.contradictions),
+      confidence: result.confidence,
+      sources: loaded,
+      nextSourceId: result.sources.length,
+      nextClaimId: ids.next(),
+      history: [{
+        revision: 1,
+        at: new Date().toISOString(),
+        addedSources: loaded.map(s => s.id),
+        failedSources: result.sources.filter(s => s.error).map(s => ({ id: s.id, error: s.error })),
+        ...(result.search && { search: result.search }),
+        diff: null,
+        validation: result.validation,
+        llm: result.llm,
+        processingTimeMs: result.processingTimeMs,
+      }],
+    });
+    res.status(201).location(`/projects/${project.id}`).json(projectView(project));
+  } catch (err) {
+    res.status(err.status || 500).json(err.body || { error: err.message });
+  }
+});
+
+app.get('/projects', (req, res) => {
+  res.json({ projects: projects.list(auth.enabled ? ownerOf(req) : undefined).map(projectSummary) });
+});
+
+app.get('/projects/:id', (req, res) => {
+  const { format, error } = requestedFormat(req);
+  if (error) return res.status(400).json({ error });
+  const project = projects.get(req.params.id);
+  if (!project || !ownedBy(req, project)) return res.status(404).json({ error: 'Project not found' });
+  sendResult(res, format, projectView(project), { title: project.name });
+});
+
+// Add 1–8 sources to a project and revise its synthesis. provider, model and
+// temperature default to the ones the project last used.
+app.post('/projects/:id/sources', inferenceQuota, async (req, res) => {
+  const project = projects.get(req.params.id);
+  if (!project || !ownedBy(req, project)) return res.status(404).json({ error: 'Project not found' });
+  const body = req.body || {};
+  const resolved = llm.resolve({
+    provider: body.provider ?? project.llm.provider,
+    model: body.model ?? (body.provider === undefined ? project.llm.model : undefined),
+    temperature: body.temperature ?? project.llm.temperature,
+  });
+  const invalid = validateSources(body, 1) || resolved.error;
+  if (invalid) return res.status(400).json({ error: invalid });
+  if (projectsUpdating.has(project.id)) {
+    return res.status(409).json({ error: 'Project is already being updated; retry when that finishes' });
+  }
+
+  projectsUpdating.add(project.id);
+  try {
+    const { fields, response } = await runProjectUpdate(project, body, { llmOptions: resolved.options });
+    const updated = await projects.update(project.id, fields);
+    res.json({ ...response, project: projectView(updated) });
+  } catch (err) {
+    res.status(err.status || 500).json(err.body || { error: err.message });
+  } finally {
+    projectsUpdating.delete(project.id);
+  }
+});
+
+app.delete('/projects/:id', async (req, res) => {
+  const found = projects.get(req.params.id);
+  if (!found || !ownedBy(req, found)) return res.status(404).json({ error: 'Project not found' });
+  if (projectsUpdating.has(found.id)) {
+    return res.status(409).json({ error: 'Project is being updated' });
+  }
+  res.json(projectSummary(await projects.remove(found.id)));
 });
 
 // ─── HTML UI ──────────────────────────────────────────────────────────────────
@@ -381,6 +2444,7 @@ app.get('/', (req, res) => {
     .badge-medium { background: #3d2b00; color: #e3b341; }
     .badge-low { background: #3d0e0e; color: #f85149; }
     .source-card { background: #0d1117; border: 1px solid #21262d; border-radius: 6px; padding: 0.8rem; margin-bottom: 0.6rem; }
+    .cite { font-size: 0.78rem; color: #8b949e; line-height: 1.5; }
     #spinner { display: none; color: #58a6ff; margin-left: 1rem; }
   </style>
 </head>
@@ -388,13 +2452,19 @@ app.get('/', (req, res) => {
   <h1>🔬 Research Synthesizer</h1>
   <p class="subtitle">Multi-source synthesis · Local Ollama · Agent-native JSON API</p>
 
+  <div class="card" id="keyCard" style="display:none">
+    <label>API Key</label>
+    <input id="apiKey" type="password" placeholder="rs_..." autocomplete="off" onchange="saveKey()" />
+    <p id="keyStatus" style="margin-top:0.5rem; font-size:0.8rem; color:#8b949e">This server requires an API key. It is kept in this browser's local storage.</p>
+  </div>
+
   <div class="card">
     <label>Research Topic / Focus Question (optional)</label>
     <input id="topic" type="text" placeholder="e.g. What are the main arguments for renewable energy adoption?" />
   </div>
 
   <div class="card">
-    <label>Sources (2–8 URLs or text)</label>
+    <label>Sources (2–8 URLs, text or files)</label>
     <div id="sources">
       <div class="source-row">
         <select><option value="url">URL</option><option value="text">Text</option></select>
@@ -408,37 +2478,89 @@ app.get('/', (req, res) => {
       </div>
     </div>
     <button class="btn-add" onclick="addSource()">+ Add Source</button>
+    <button class="btn-add" onclick="document.getElementById('fileInput').click()">+ Add File</button>
+    <input id="fileInput" type="file" multiple accept=".pdf,.docx,.md,.markdown,.txt" style="display:none" onchange="addFiles(this)" />
     <select id="depth" style="width:130px; display:inline-block; margin-left:0.5rem;">
       <option value="brief">Brief</option>
       <option value="detailed">Detailed</option>
     </select>
+    <select id="mode" style="width:150px; display:inline-block; margin-left:0.5rem;">
+      <option value="single">Single prompt</option>
+      <option value="pipeline">Pipeline</option>
+    </select>
     <button class="btn-go" id="goBtn" onclick="synthesize()">Synthesize</button>
     <span id="spinner">⏳ Processing…</span>
   </div>
 
   <div class="card" id="resultCard" style="display:none">
+    <div id="exportBar" style="margin-bottom:1rem">
+      <button class="btn-add" onclick="exportResult('markdown', 'md')">⬇ Markdown</button>
+      <button class="btn-add" onclick="exportResult('html', 'html')">⬇ HTML</button>
+      <button class="btn-add" onclick="exportResult('bibtex', 'bib')">⬇ BibTeX</button>
+      <button class="btn-add" onclick="exportResult('csl-json', 'json')">⬇ CSL-JSON</button>
+    </div>
     <div id="richResult"></div>
     <div class="section-title" style="margin-top:1.5rem">Raw JSON</div>
     <pre id="result"></pre>
   </div>
 
   <script>
+    // API key support: the key card only shows when the server has auth enabled
+    function apiHeaders(headers) {
+      const key = localStorage.getItem('rs-api-key');
+      return key ? { ...headers, 'X-API-Key': key } : headers;
+    }
+    async function saveKey() {
+      const key = document.getElementById('apiKey').value.trim();
+      if (key) localStorage.setItem('rs-api-key', key); else localStorage.removeItem('rs-api-key');
+      const status = document.getElementById('keyStatus');
+      if (!key) return;
+      const res = await fetch('/auth/me', { headers: apiHeaders({}) });
+      const me = await res.json();
+      status.textContent = res.ok
+        ? '✓ ' + me.name + ' · ' + me.rateLimit.requests + ' requests / ' + me.rateLimit.windowSeconds + 's · ' + me.maxConcurrent + ' at a time'
+        : '✕ ' + me.error;
+    }
+    fetch('/health').then(r => r.json()).then(h => {
+      if (h.auth !== 'enabled') return;
+      document.getElementById('keyCard').style.display = 'block';
+      document.getElementById('apiKey').value = localStorage.getItem('rs-api-key') || '';
+      if (localStorage.getItem('rs-api-key')) saveKey();
+    });
+
     function addSource() {
       const row = document.createElement('div');
       row.className = 'source-row';
       row.innerHTML = '<select><option value="url">URL</option><option value="text">Text</option></select><textarea placeholder="https://example.com or paste text..."></textarea><button onclick="removeSource(this)">✕</button>';
       document.getElementById('sources').appendChild(row);
     }
+    function addFiles(input) {
+      for (const file of input.files) {
+        const reader = new FileReader();
+        reader.onload = () => {
+          const row = document.createElement('div');
+          row.className = 'source-row';
+          row.innerHTML = '<select disabled><option value="file">File</option></select><textarea readonly></textarea><button onclick="removeSource(this)">✕</button>';
+          row.querySelector('textarea').value = file.name + ' (' + Math.round(file.size / 1024) + ' KB)';
+          row.dataset.content = reader.result.split(',')[1] || '';
+          row.dataset.filename = file.name;
+          row.dataset.mimeType = file.type;
+          document.getElementById('sources').appendChild(row);
+        };
+        reader.readAsDataURL(file);
+      }
+      input.value = '';
+    }
     function removeSource(btn) {
       const rows = document.querySelectorAll('.source-row');
       if (rows.length > 2) btn.closest('.source-row').remove();
     }
     async function synthesize() {
       const rows = document.querySelectorAll('.source-row');
-      const sources = [...rows].map(r => ({
-        type: r.querySelector('select').value,
-        content: r.querySelector('textarea').value.trim(),
-      })).filter(s => s.content.length > 0);
+      const sources = [...rows].map(r => r.dataset.filename
+        ? { type: 'file', content: r.dataset.content, filename: r.dataset.filename, mimeType: r.dataset.mimeType || undefined }
+        : { type: r.querySelector('select').value, content: r.querySelector('textarea').value.trim() }
+      ).filter(s => s.content.length > 0);
 
       if (sources.length < 2) { alert('Please add at least 2 sources'); return; }
 
@@ -447,64 +2569,136 @@ app.get('/', (req, res) => {
       btn.disabled = true;
       spinner.style.display = 'inline';
 
+      const result = document.getElementById('result');
+      result.textContent = '';
+      document.getElementById('richResult').innerHTML = '';
+      document.getElementById('resultCard').style.display = 'block';
+
       try {
-        const res = await fetch('/synthesize', {
+        const res = await fetch('/synthesize/stream', {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
+          headers: apiHeaders({ 'Content-Type': 'application/json' }),
           body: JSON.stringify({
             sources,
             topic: document.getElementById('topic').value.trim() || undefined,
             depth: document.getElementById('depth').value,
+            mode: document.getElementById('mode').value,
           }),
         });
-        const data = await res.json();
-        document.getElementById('result').textContent = JSON.stringify(data, null, 2);
-
-        // Render rich view
-        const rich = document.getElementById('richResult');
-        rich.innerHTML = '';
-
-        if (data.synthesis) {
-          const st = document.createElement('div');
-          st.innerHTML = '<div class="section-title">Synthesis</div><p style="line-height:1.6; color:#c9d1d9">' + escHtml(data.synthesis) + '</p>';
-          rich.appendChild(st);
-        }
-        if (data.keyThemes?.length) {
-          const t = document.createElement('div');
-          t.innerHTML = '<div class="section-title">Key Themes</div>' + data.keyThemes.map(x => '<span class="tag">' + escHtml(x) + '</span>').join('');
-          rich.appendChild(t);
-        }
-        if (data.consensus?.length) {
-          const c = document.createElement('div');
-          c.innerHTML = '<div class="section-title">✅ Consensus</div><ul style="padding-left:1.5rem; color:#c9d1d9; line-height:2">' + data.consensus.map(x => '<li>' + escHtml(x) + '</li>').join('') + '</ul>';
-          rich.appendChild(c);
-        }
-        if (data.contradictions?.length) {
-          const cr = document.createElement('div');
-          cr.innerHTML = '<div class="section-title">⚡ Contradictions</div><ul style="padding-left:1.5rem; color:#c9d1d9; line-height:2">' + data.contradictions.map(x => '<li>' + escHtml(x) + '</li>').join('') + '</ul>';
-          rich.appendChild(cr);
-        }
-        if (data.sources?.length) {
-          const srcs = document.createElement('div');
-          srcs.innerHTML = '<div class="section-title">Sources</div>' + data.sources.map(s =>
-            '<div class="source-card"><strong style="color:#c9d1d9">' + escHtml(s.label) + '</strong> <span class="badge badge-' + s.quality + '">' + s.quality + '</span><p style="margin-top:0.4rem; color:#8b949e; font-size:0.85rem">' + escHtml(s.summary) + '</p></div>'
-          ).join('');
-          rich.appendChild(srcs);
+        if (!res.ok) {
+          renderResult(await res.json());
+          return;
         }
 
-        const meta = document.createElement('p');
-        meta.style.cssText = 'margin-top:1rem; font-size:0.8rem; color:#484f58';
-        meta.textContent = \`Confidence: \${Math.round((data.confidence||0)*100)}% · \${data.sourceCount} sources · \${data.processingTimeMs}ms\`;
-        rich.appendChild(meta);
-
-        document.getElementById('resultCard').style.display = 'block';
+        // Parse the Server-Sent Events stream by hand (EventSource cannot POST)
+        const reader = res.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let log = '';
+        let streamed = '';
+        for (;;) {
+          const { value, done } = await reader.read();
+          if (done) break;
+          buffer += decoder.decode(value, { stream: true });
+          const events = buffer.split('\\n\\n');
+          buffer = events.pop();
+          for (const block of events) {
+            const event = (block.match(/^event: (.*)$/m) || [])[1];
+            const data = JSON.parse((block.match(/^data: (.*)$/m) || [])[1] || 'null');
+            if (event === 'progress') {
+              spinner.textContent = '⏳ ' + ({ fetch: 'Fetching sources…', condense: 'Condensing long source…', synthesize: 'Synthesizing…', repair: 'Repairing invalid output…' }[data.stage] || 'Processing…');
+              if (data.stage === 'repair') streamed = '';
+            } else if (event === 'source') {
+              log += (data.error ? '✕ ' : '✓ ') + data.label + (data.error ? ' — ' + data.error : ' (' + data.chars + ' chars)')
+                + (data.fetchStatus && data.fetchStatus.attempts > 1 ? ' after ' + data.fetchStatus.attempts + ' attempts' : '') + '\\n';
+              result.textContent = log;
+            } else if (event === 'token') {
+              streamed += data.text;
+              result.textContent = log + '\\n' + streamed;
+              result.scrollTop = result.scrollHeight;
+            } else if (event === 'result' || event === 'error') {
+              renderResult(data);
+            }
+          }
+        }
       } catch(e) {
         alert('Error: ' + e.message);
       } finally {
         btn.disabled = false;
         spinner.style.display = 'none';
+        spinner.textContent = '⏳ Processing…';
       }
     }
+    let lastResult = null;
+
+    function renderResult(data) {
+      document.getElementById('result').textContent = JSON.stringify(data, null, 2);
+      lastResult = data.synthesis !== undefined ? data : null;
+      document.getElementById('exportBar').style.display = lastResult ? 'block' : 'none';
+
+      // Render rich view
+      const rich = document.getElementById('richResult');
+      rich.innerHTML = '';
+
+      if (data.synthesis) {
+        const st = document.createElement('div');
+        st.innerHTML = '<div class="section-title">Synthesis</div><p style="line-height:1.6; color:#c9d1d9">' + escHtml(data.synthesis) + '</p>';
+        rich.appendChild(st);
+      }
+      if (data.keyThemes?.length) {
+        const t = document.createElement('div');
+        t.innerHTML = '<div class="section-title">Key Themes</div>' + data.keyThemes.map(x => '<span class="tag">' + escHtml(x) + '</span>').join('');
+        rich.appendChild(t);
+      }
+      if (data.consensus?.length) {
+        const c = document.createElement('div');
+        c.innerHTML = '<div class="section-title">✅ Consensus</div><ul style="padding-left:1.5rem; color:#c9d1d9; line-height:2">' + data.consensus.map(renderClaim).join('') + '</ul>';
+        rich.appendChild(c);
+      }
+      if (data.contradictions?.length) {
+        const cr = document.createElement('div');
+        cr.innerHTML = '<div class="section-title">⚡ Contradictions</div><ul style="padding-left:1.5rem; color:#c9d1d9; line-height:2">' + data.contradictions.map(renderClaim).join('') + '</ul>';
+        rich.appendChild(cr);
+      }
+      if (data.warnings?.length) {
+        const w = document.createElement('div');
+        w.innerHTML = '<div class="section-title">⚠ Warnings</div><ul style="padding-left:1.5rem; color:#d29922; line-height:1.8">' + data.warnings.map(x => '<li>' + escHtml(x) + '</li>').join('') + '</ul>';
+        rich.appendChild(w);
+      }
+      if (data.sources?.length) {
+        const srcs = document.createElement('div');
+        srcs.innerHTML = '<div class="section-title">Sources</div>' + data.sources.map(s =>
+          '<div class="source-card"><strong style="color:#c9d1d9">' + escHtml(s.label) + '</strong> <span class="badge badge-' + s.quality + '">' + s.quality + '</span><p style="margin-top:0.4rem; color:#8b949e; font-size:0.85rem">' + escHtml(s.error ? '✕ ' + s.error : s.summary) + '</p></div>'
+        ).join('');
+        rich.appendChild(srcs);
+      }
+
+      const meta = document.createElement('p');
+      meta.style.cssText = 'margin-top:1rem; font-size:0.8rem; color:#484f58';
+      meta.textContent = \`Confidence: \${Math.round((data.confidence||0)*100)}% · \${data.sourceCount} sources · \${data.processingTimeMs}ms\`;
+      rich.appendChild(meta);
+
+      document.getElementById('resultCard').style.display = 'block';
+    }
+    async function exportResult(format, extension) {
+      const res = await fetch('/export?format=' + format, {
+        method: 'POST',
+        headers: apiHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ result: lastResult }),
+      });
+      if (!res.ok) return alert('Export failed: ' + (await res.json()).error);
+      const a = document.createElement('a');
+      a.href = URL.createObjectURL(await res.blob());
+      a.download = 'synthesis.' + extension;
+      a.click();
+      URL.revokeObjectURL(a.href);
+    }
+    function renderClaim(c) {
+      const cites = (c.citations || []).map(q =>
+        '<div class="cite">' + (q.verified ? '✓' : '⚠ unverified') + ' [' + escHtml(q.sourceId) + '] “' + escHtml(q.quote) + '”</div>'
+      ).join('');
+      return '<li>' + escHtml(c.point) + cites + '</li>';
+    }
     function escHtml(s) {
       return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;');
     }
@@ -513,9 +2707,26 @@ app.get('/', (req, res) => {
 </html>`);
 });
 
+// Errors thrown outside a route's own try/catch (e.g. a malformed JSON body):
+// logged as JSON instead of Express's default stack trace on stderr
+app.use((err, req, res, next) => {
+  const status = err.status || err.statusCode || 500;
+  if (status >= 500) log.error('Unhandled error', { error: err.message, stack: err.stack });
+  if (res.headersSent) return next(err);
+  res.status(status).json({ error: status >= 500 ? 'Internal server error' : err.expose ? err.message : 'Bad request' });
+});
+
 // ─── Start ────────────────────────────────────────────────────────────────────
 
-app.listen(PORT, () => {
-  console.log(`[research-synthesizer] 🔬 Running on http://localhost:${PORT}`);
-  console.log(`[research-synthesizer] Model: ${MODEL} via ${OLLAMA_URL}`);
-});
\ No newline at end of file
+// Listen only when run directly (`node server.js`); require('./server') just
+// returns the app, e.g. for tests
+if (require.main === module) {
+  app.listen(PORT, () => {
+    log.info('Research Synthesizer running', { url: `http://localhost:${PORT}` });
+    for (const p of llm.list()) {
+      log.info('LLM backend', { provider: p.name, models: p.models, url: p.url || undefined });
+    }
+  });
+}
+
+module.exports = app;
\ No newline at end of file
@@ -0,0 +1,53 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAuth, hashKey } = require('../lib/auth');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'research-synth-auth-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const DEFAULTS = { requests: 30, windowSeconds: 60, maxConcurrent: 2 };
+const silent = { info() {}, warn() {}, error() {}, debug() {} };
+
+let n = 0;
+function keysFile(content) {
+  const file = path.join(dir, `keys-${n++}.json`);
+  if (content !== undefined) fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+  return file;
+}
+const start = file => createAuth({ file, defaults: DEFAULTS, log: silent });
+
+test('is off only while there is no keys file', () => {
+  assert.equal(start(keysFile()).enabled, false);
+  const empty = start(keysFile({ keys: [] }));
+  assert.equal(empty.enabled, true);
+  assert.equal(empty.authenticate('anything'), null);
+});
+
+test('refuses to start from a keys file that does not parse or has an invalid entry', () => {
+  assert.throws(() => start(keysFile('{ "keys": [')), /^Error: Could not load API keys from .*: /);
+  assert.throws(() => start(keysFile({ keys: [{ name: 'ops', hash: 'md5:abc' }] })), /keys\[0\] needs a name and a sha256:<hex> hash/);
+  assert.throws(() => start(keysFile({ key: [] })), /"keys" array/);
+});
+
+test('keeps the last good keys when a reload fails or the file goes away', () => {
+  const file = keysFile({ keys: [{ name: 'alice', hash: hashKey('secret') }] });
+  const auth = start(file);
+  assert.equal(auth.authenticate('secret').name, 'alice');
+
+  fs.writeFileSync(file, '{ not json');
+  auth.reload();
+  assert.equal(auth.authenticate('secret').name, 'alice');
+
+  fs.rmSync(file);
+  auth.reload();
+  assert.equal(auth.enabled, true);
+  assert.equal(auth.authenticate('secret').name, 'alice');
+
+  fs.writeFileSync(file, JSON.stringify({ keys: [{ name: 'bob', hash: hashKey('other') }] }));
+  auth.reload();
+  assert.equal(auth.authenticate('secret'), null);
+  assert.equal(auth.authenticate('other').name, 'bob');
+});
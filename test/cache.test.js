@@ -0,0 +1,20 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCache } = require('../lib/cache');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'research-synth-cache-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('writes the same key from several callers at once', async () => {
+  const errors = [];
+  const log = { info() {}, warn() {}, debug() {}, error: (msg, extra) => errors.push({ msg, ...extra }) };
+  const cache = createCache({ dir, ttlMs: 60 * 1000, log });
+
+  await Promise.all([1, 2, 3].map(n => cache.set('url', 'https://example.com/', { text: `version ${n}` })));
+  assert.deepEqual(errors, []);
+  assert.match((await cache.get('url', 'https://example.com/')).value.text, /^version [123]$/);
+  assert.deepEqual(fs.readdirSync(path.join(dir, 'url')).filter(name => !name.endsWith('.json')), []);
+});
@@ -0,0 +1,146 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const path = require('path');
+const { startApp, modelOutput } = require('./helpers/app');
+const { shareBudget, topicRelevance, trimToTokens, estimateTokens } = require('../lib/budget');
+
+// ─── lib/budget ───────────────────────────────────────────────────────────────
+
+test('shareBudget gives small items all they need and splits the rest by weight', () => {
+  assert.deepEqual(shareBudget([100, 1000, 1000], [1, 1, 1], 1100), [100, 500, 500]);
+  assert.deepEqual(shareBudget([1000, 1000], [3, 1], 800), [600, 200]);
+  assert.deepEqual(shareBudget([100, 200], [1, 1], 1000), [100, 200]);
+  assert.deepEqual(shareBudget([100, 200], [1, 1], 0), [0, 0]);
+});
+
+test('topicRelevance is the share of topic terms found in the text', () => {
+  assert.equal(topicRelevance('Heat pumps in cold climates', 'How do heat pumps perform in winter?'), 2 / 4);
+  assert.equal(topicRelevance('Anything at all', ''), null);
+  assert.equal(topicRelevance('Le café est fermé', 'cafe'), 1);
+});
+
+test('trimToTokens cuts at a sentence break near the limit', () => {
+  const text = 'One sentence here. '.repeat(50);
+  const trimmed = trimToTokens(text, 100);
+  assert.ok(estimateTokens(trimmed) <= 100);
+  assert.ok(trimmed.length > 100 * 3.5 * 0.8);
+  assert.ok(trimmed.endsWith('.'));
+  assert.equal(trimToTokens('short', 100), 'short');
+});
+
+// ─── Prompt budgeting ─────────────────────────────────────────────────────────
+
+const ON_TOPIC = 'Heat pumps keep homes warm in cold winters. '.repeat(200);
+const OFF_TOPIC = 'The bakery sells bread and cakes every morning. '.repeat(130);
+
+let ctx;
+before(async () => {
+  ctx = await startApp({ OLLAMA_MODELS: 'test-model,tiny-model' });
+  ctx.ollama.contextLength = 4096;
+});
+after(() => ctx.close());
+beforeEach(() => ctx.ollama.reset());
+
+test('runs the model with its own context length and a matching answer budget', async () => {
+  ctx.ollama.reply(modelOutput([0, 1]));
+  const res = await ctx.post('/synthesize', {
+    sources: [{ type: 'text', content: 'Short note about heat pumps.' }, { type: 'text', content: 'Another short note.' }],
+    cache: 'bypass',
+  });
+  assert.equal(res.status, 200);
+  const { options } = ctx.ollama.requests[0];
+  assert.equal(options.num_ctx, 4096);
+  assert.equal(options.num_predict, 1024);
+  assert.equal(res.body.context.contextTokens, 4096);
+  assert.equal(res.body.context.modelContextTokens, 4096);
+  assert.equal(res.body.context.maxResponseTokens, 1024);
+  assert.deepEqual(res.body.context.trimmedSources, []);
+  assert.deepEqual(res.body.warnings, []);
+});
+
+test('trims sources to fit, keeping more of the ones relevant to the topic', async () => {
+  ctx.ollama.reply(modelOutput([0, 1]));
+  const res = await ctx.post('/synthesize', {
+    topic: 'heat pumps in cold winters',
+    sources: [{ type: 'text', label: 'Off topic', content: OFF_TOPIC }, { type: 'text', label: 'On topic', content: ON_TOPIC }],
+    cache: 'bypass',
+  });
+  assert.equal(res.status, 200);
+
+  const { context, warnings } = res.body;
+  assert.deepEqual(context.trimmedSources.map(t => t.id), [0, 1]);
+  const [off, on] = context.trimmedSources;
+  assert.ok(on.keptChars > 2 * off.keptChars, JSON.stringify(context.trimmedSources));
+  assert.equal(on.relevance, 1);
+  assert.equal(off.relevance, 0);
+  assert.ok(context.estimatedPromptTokens + context.maxResponseTokens <= 4096);
+  assert.equal(warnings.length, 2);
+  assert.match(warnings[0], /^Source 1 \("Off topic"\) was trimmed from 6240 to \d+ characters to fit the 4096-token context window$/);
+
+  // The instructions at the start of the prompt are all still there
+  const { prompt } = ctx.ollama.requests[0];
+  assert.match(prompt, /^Research Topic \/ Focus Question: heat pumps in cold winters/);
+  assert.ok(estimateTokens(prompt) < 4096 - 1024);
+});
+
+test('condenses long sources and reports chunks that could not be summarized', async () => {
+  ctx.ollama.fallback = request => {
+    if (request.prompt.includes('Summarize part 1 of')) return { status: 500, error: 'model crashed' };
+    if (request.prompt.includes('Summarize part')) return 'Heat pumps kept homes warm.';
+    return modelOutput([0, 1]);
+  };
+  const res = await ctx.post('/synthesize', {
+    sources: [{ type: 'text', content: ON_TOPIC.repeat(3) }, { type: 'text', content: 'Another short note.' }],
+    cache: 'bypass',
+  });
+  assert.equal(res.status, 200, res.text);
+  const [long, short] = res.body.sources;
+  assert.deepEqual([long.chunksTotal, long.chunksProcessed, long.chunksFailed, long.truncated], [3, 2, 1, true]);
+  assert.deepEqual([short.chunksTotal, short.chunksFailed, short.truncated], [1, 0, false]);
+});
+
+test('falls back to the cut partial summaries when the merge comes back empty', async () => {
+  ctx.ollama.fallback = request => {
+    if (request.prompt.includes('Summarize part')) return 'Heat pumps kept homes warm. '.repeat(200);
+    if (request.prompt.includes('Merge these partial summaries')) return '';
+    return modelOutput([0, 1]);
+  };
+  const res = await ctx.post('/synthesize', {
+    sources: [{ type: 'text', content: ON_TOPIC.repeat(3) }, { type: 'text', content: 'Another short note.' }],
+    cache: 'bypass',
+  });
+  assert.equal(res.status, 200, res.text);
+  const [long] = res.body.sources;
+  assert.deepEqual([long.chunksTotal, long.chunksProcessed, long.chunksFailed, long.truncated], [3, 3, 0, true]);
+  assert.match(ctx.ollama.requests.at(-1).prompt, /\[Part 1\/3\] Heat pumps kept homes warm\./);
+});
+
+test('fails with 422 instead of condensing with a context window too small for a chunk', async () => {
+  // The window is looked up once per model, so this one only ever sees 1024 tokens
+  ctx.ollama.contextLength = 1024;
+  try {
+    const res = await ctx.post('/synthesize', {
+      sources: [{ type: 'text', content: ON_TOPIC }, { type: 'text', content: 'Another short note.' }],
+      model: 'tiny-model',
+      cache: 'bypass',
+    });
+    assert.equal(res.status, 422);
+    assert.equal(res.body.error, 'The model context window is too small to condense long sources');
+    assert.equal(res.body.contextTokens, 1024);
+    assert.equal(ctx.ollama.requests.length, 0);
+  } finally {
+    ctx.ollama.contextLength = 4096;
+  }
+});
+
+test('refuses to start with a context window setting below the minimum', () => {
+  const { status, stderr } = spawnSync(process.execPath, ['-e', "require('./server')"], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, MAX_CONTEXT_TOKENS: '512', LOG_LEVEL: 'silent' },
+    encoding: 'utf8',
+    timeout: 30000,
+  });
+  assert.notEqual(status, 0);
+  assert.match(stderr, /MAX_CONTEXT_TOKENS must be at least 2048 tokens/);
+});
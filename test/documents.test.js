@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const path = require('path');
+const { extractDocument, detectFormat } = require('../lib/documents');
+
+// A one-page PDF showing `text`; with brokenXref, startxref points past the
+// cross-reference table and pdf.js has to rebuild it
+function makePdf(text, { brokenXref = false } = {}) {
+  const stream = `BT /F1 12 Tf 72 720 Td (${text}) Tj ET`;
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+  ];
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${brokenXref ? xref + 7 : xref}\n%%EOF\n`;
+  return pdf;
+}
+
+test('detects the format from the MIME type, then the extension, then the leading bytes', () => {
+  const pdf = Buffer.from(makePdf('Hello'), 'latin1');
+  assert.equal(detectFormat(pdf, { mimeType: 'text/markdown; charset=utf-8', filename: 'a.pdf' }), 'markdown');
+  assert.equal(detectFormat(pdf, { filename: 'notes.TXT' }), 'text');
+  assert.equal(detectFormat(pdf), 'pdf');
+  assert.equal(detectFormat(Buffer.from('plain words')), null);
+});
+
+test('extracts text from a PDF whose Buffer does not start at byte 0', async () => {
+  // Like the small Buffers that Buffer.from() hands out of its shared pool
+  const pdf = Buffer.from(makePdf('Heat pumps work in the cold'), 'latin1');
+  const buffer = Buffer.concat([Buffer.alloc(16), pdf]).subarray(16);
+  const { text, format } = await extractDocument(buffer, { filename: 'report.pdf' });
+  assert.equal(format, 'pdf');
+  assert.equal(text, 'Heat pumps work in the cold');
+});
+
+test('keeps pdf.js warnings about malformed PDFs off stdout', () => {
+  const pdf = Buffer.from(makePdf('Heat pumps work in the cold', { brokenXref: true }), 'latin1');
+  const script = `require('./lib/documents').extractDocument(Buffer.from(process.env.PDF, 'base64'))
+    .then(({ text }) => process.stderr.write(\`text: \${text}\\n\`))`;
+  const { status, stdout, stderr } = spawnSync(process.execPath, ['-e', script], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, PDF: pdf.toString('base64') },
+    encoding: 'utf8',
+    timeout: 30000,
+  });
+  assert.equal(status, 0, stderr);
+  assert.equal(stdout, '');
+  assert.match(stderr, /Warning: Indexing all PDF objects/);
+  assert.match(stderr, /text: Heat pumps work in the cold/);
+});
@@ -0,0 +1,190 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, modelOutput } = require('./helpers/app');
+const { createFetchPolicy } = require('../lib/fetchPolicy');
+const { createCache } = require('../lib/cache');
+
+const NOTE = { type: 'text', label: 'Note', content: 'Heat pumps keep working in cold weather, according to installers.' };
+
+let ctx;
+before(async () => { ctx = await startApp({ FETCH_DENY_DOMAINS: 'denied.test' }); });
+after(() => ctx.close());
+beforeEach(() => ctx.ollama.reset());
+
+const url = path => ({ type: 'url', content: `${ctx.fixtures.url}${path}` });
+
+test('extracts article text and metadata from an HTML page', async () => {
+  ctx.ollama.reply(modelOutput([0, 1]));
+  const res = await ctx.post('/synthesize', { sources: [url('/article.html'), NOTE], cache: 'bypass' });
+  assert.equal(res.status, 200);
+
+  const [article] = res.body.sources;
+  assert.equal(article.label, 'Heat Pumps in Cold Climates');
+  assert.equal(article.url, `${ctx.fixtures.url}/article.html`);
+  assert.deepEqual(article.metadata, {
+    title: 'Heat Pumps in Cold Climates',
+    author: 'Jane Doe',
+    publishedDate: '2024-03-01T09:00:00Z',
+    canonicalUrl: `${ctx.fixtures.url}/article.html`,
+    siteName: 'Energy Weekly',
+  });
+  assert.equal(article.fetchStatus.ok, true);
+  assert.equal(article.fetchStatus.status, 200);
+  assert.equal(article.fetchStatus.attempts, 1);
+  assert.equal(article.fetchStatus.cache, 'bypass');
+  assert.ok(article.fetchStatus.bytes > 0);
+
+  const { prompt } = ctx.ollama.requests[0];
+  assert.match(prompt, /Field trials in Norway/);
+  assert.doesNotMatch(prompt, /Subscribe to our newsletter/);
+});
+
+test('follows redirects and records the final URL', async () => {
+  ctx.ollama.reply(modelOutput([0, 1]));
+  const res = await ctx.post('/synthesize', { sources: [url('/redirect'), url('/notes.txt')], cache: 'bypass' });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.sources[0].metadata.canonicalUrl, `${ctx.fixtures.url}/article.html`);
+  assert.equal(res.body.sources[1].metadata.canonicalUrl, `${ctx.fixtures.url}/notes.txt`);
+  assert.match(ctx.ollama.requests[0].prompt, /heat pump owners in Quebec/);
+});
+
+test('serves repeated requests from the cache', async () => {
+  const sources = [url('/article.html'), NOTE];
+  ctx.ollama.reply(modelOutput([0, 1]));
+  // cache: "bypass" skips reading the cache but still refreshes it
+  const first = await ctx.post('/synthesize', { sources, cache: 'bypass' });
+  const second = await ctx.post('/synthesize', { sources });
+  assert.equal(first.body.sources[0].fetchStatus.cache, 'bypass');
+  assert.equal(second.body.sources[0].fetchStatus.cache, 'hit');
+  assert.deepEqual(second.body.cache.llm, { hits: 1, misses: 0 });
+  assert.equal(ctx.ollama.requests.length, 1);
+  assert.equal(second.body.synthesis, first.body.synthesis);
+});
+
+test('leaves failed sources out of the prompt and reports why they failed', async () => {
+  ctx.ollama.reply(modelOutput([0, 2]));
+  const res = await ctx.post('/synthesize', {
+    sources: [url('/notes.txt'), url('/missing'), NOTE],
+    cache: 'bypass',
+  });
+  assert.equal(res.status, 200);
+
+  const missing = res.body.sources[1];
+  assert.equal(missing.error, `HTTP 404 fetching ${ctx.fixtures.url}/missing`);
+  assert.equal(missing.quality, 'low');
+  assert.equal(missing.summary, '');
+  assert.equal(missing.fetchStatus.ok, false);
+  assert.equal(missing.fetchStatus.status, 404);
+  // 404 is not transient, so it is not retried
+  assert.equal(missing.fetchStatus.attempts, 1);
+  assert.equal(ctx.fixtures.hits['/missing'], 1);
+
+  const { prompt } = ctx.ollama.requests[0];
+  assert.match(prompt, /synthesizing 2 research sources/);
+  assert.doesNotMatch(prompt, /\(id: 1\)/);
+  assert.equal(res.body.sources[2].summary, 'Summary of source 3.');
+});
+
+test('rejects non-text content types', async () => {
+  ctx.ollama.reply(modelOutput([1, 2]));
+  const res = await ctx.post('/synthesize', { sources: [url('/image.png'), url('/notes.txt'), NOTE], cache: 'bypass' });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.sources[0].error, 'Non-text content-type: image/png');
+});
+
+test('blocks URLs the fetch policy does not allow', async () => {
+  ctx.ollama.reply(modelOutput([1, 2]));
+  const res = await ctx.post('/synthesize', {
+    sources: [{ type: 'url', content: 'file:///etc/passwd' }, url('/notes.txt'), NOTE],
+    cache: 'bypass',
+  });
+  assert.equal(res.status, 200);
+  assert.match(res.body.sources[0].error, /^Blocked: file: URLs are not allowed/);
+  assert.equal(res.body.sources[0].fetchStatus.attempts, 1);
+});
+
+test('applies the domain lists to fully qualified hostnames too', async () => {
+  const policy = createFetchPolicy({ allowPrivate: true, denyDomains: ['example.com'] });
+  await assert.rejects(policy.checkUrl('http://example.com./'), { message: 'Blocked: example.com is on the domain deny list' });
+  await assert.rejects(policy.checkUrl('http://sub.example.com./'), { message: 'Blocked: sub.example.com is on the domain deny list' });
+  const allowing = createFetchPolicy({ allowPrivate: true, allowDomains: ['example.org.'] });
+  assert.equal((await allowing.checkUrl('http://example.org./page')).hostname, 'example.org.');
+  await assert.rejects(allowing.checkUrl('http://example.com./'), { message: 'Blocked: example.com is not on the domain allow list' });
+});
+
+test('checks the fetch policy before serving a URL from the cache', async () => {
+  // As if the page had been fetched before its domain was added to FETCH_DENY_DOMAINS
+  const cache = createCache({ dir: process.env.CACHE_DIR, ttlMs: 60 * 1000 });
+  await cache.set('url', 'http://denied.test/page', {
+    text: 'Cached text from a domain that is now denied.',
+    metadata: { title: null, author: null, publishedDate: null, canonicalUrl: 'http://denied.test/page', siteName: null },
+    status: 200,
+    bytes: 45,
+  });
+  ctx.ollama.reply(modelOutput([1, 2]));
+  const res = await ctx.post('/synthesize', {
+    sources: [
+      { type: 'url', content: 'http://denied.test/page' },
+      url('/notes.txt'),
+      { type: 'text', content: 'Installers say heat pumps need little upkeep.' },
+    ],
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.sources[0].error, 'Blocked: denied.test is on the domain deny list');
+  assert.doesNotMatch(ctx.ollama.requests[0].prompt, /now denied/);
+});
+
+test('connects only to an address that passed the check (DNS rebinding)', async () => {
+  // Public for the check, loopback for the connection
+  const answers = ['93.184.216.34', '127.0.0.1'];
+  const lookups = [];
+  const policy = createFetchPolicy({
+    lookup: (hostname, options, callback) => {
+      lookups.push(hostname);
+      callback(null, [{ address: answers[Math.min(lookups.length, answers.length) - 1], family: 4 }]);
+    },
+  });
+  const { port } = new URL(ctx.fixtures.url);
+  const hits = ctx.fixtures.hits['/notes.txt'] ?? 0;
+  await assert.rejects(policy.fetch(`http://rebind.test:${port}/notes.txt`),
+    { message: 'Blocked: rebind.test resolves to 127.0.0.1, which is not a public address' });
+  assert.deepEqual(lookups, ['rebind.test', 'rebind.test']);
+  assert.equal(ctx.fixtures.hits['/notes.txt'] ?? 0, hits);
+});
+
+test('retries transient failures', async () => {
+  ctx.ollama.reply(modelOutput([0, 1]));
+  const res = await ctx.post('/synthesize', { sources: [url('/flaky'), NOTE], cache: 'bypass' });
+  assert.equal(res.status, 200);
+  const flaky = res.body.sources[0];
+  assert.equal(flaky.error, null);
+  assert.equal(flaky.fetchStatus.attempts, 3);
+  assert.equal(flaky.fetchStatus.status, 200);
+});
+
+test('gives up on transient failures after FETCH_RETRIES', async () => {
+  ctx.ollama.reply(modelOutput([1, 2]));
+  const res = await ctx.post('/synthesize', { sources: [url('/always-503'), url('/notes.txt'), NOTE], cache: 'bypass' });
+  assert.equal(res.status, 200);
+  const down = res.body.sources[0];
+  assert.equal(down.fetchStatus.status, 503);
+  assert.equal(down.fetchStatus.attempts, 3);
+  assert.equal(ctx.fixtures.hits['/always-503'], 3);
+});
+
+test('fails with 422 when too few sources load, without calling the model', async () => {
+  const res = await ctx.post('/synthesize', { sources: [url('/missing'), NOTE], cache: 'bypass' });
+  assert.equal(res.status, 422);
+  assert.equal(res.body.error, 'Too few sources could be loaded');
+  assert.equal(res.body.required, 2);
+  assert.equal(res.body.succeeded, 1);
+  assert.deepEqual(res.body.sources.map(s => s.error && s.fetchStatus.status), [404, null]);
+  assert.equal(ctx.ollama.requests.length, 0);
+});
+
+test('minSuccessfulSources lowers the threshold', async () => {
+  ctx.ollama.reply(modelOutput([1]));
+  const res = await ctx.post('/synthesize', { sources: [url('/missing'), NOTE], minSuccessfulSources: 1, cache: 'bypass' });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.sources[1].summary, 'Summary of source 2.');
+});
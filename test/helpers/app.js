@@ -0,0 +1,78 @@
+/**
+ * Starts the app in-process against a stub Ollama and a fixture web server,
+ * with its cache, jobs and projects in a fresh temp directory and auth off.
+ * Each test file runs in its own process, so the env set here only has to be
+ * in place before server.js is first required.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startStubOllama } = require('./stub-ollama');
+const { startFixtureServer } = require('./fixture-server');
+
+async function startApp(env = {}) {
+  const ollama = await startStubOllama();
+  const fixtures = await startFixtureServer();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'research-synth-test-'));
+
+  Object.assign(process.env, {
+    OLLAMA_URL: ollama.url,
+    OLLAMA_MODEL: 'test-model',
+    LLM_PROVIDERS: 'ollama',
+    FETCH_ALLOW_PRIVATE: '1',
+    FETCH_RETRY_DELAY_MS: '10',
+    MAX_REPAIR_RETRIES: '1',
+    LOG_LEVEL: 'silent',
+    CACHE_DIR: path.join(dataDir, 'cache'),
+    JOBS_DIR: path.join(dataDir, 'jobs'),
+    PROJECTS_DIR: path.join(dataDir, 'projects'),
+    API_KEYS_FILE: path.join(dataDir, 'api-keys.json'),
+    ...env,
+  });
+  const app = require('../../server');
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  async function post(route, body, headers = {}) {
+    const res = await fetch(`${baseUrl}${route}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+    });
+    const text = await res.text();
+    let json = null;
+    try { json = JSON.parse(text); } catch {}
+    return { status: res.status, headers: res.headers, text, body: json };
+  }
+
+  async function close() {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await Promise.all([ollama.close(), fixtures.close()]);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  return { app, baseUrl, ollama, fixtures, post, close };
+}
+
+// A model answer that passes validation for sources with the given ids.
+// `quotes` maps a source id to a quote for the consensus point's citation.
+function modelOutput(ids, { quotes = {}, ...overrides } = {}) {
+  return JSON.stringify({
+    synthesis: 'Heat pumps work in cold climates when they are sized correctly.',
+    keyThemes: ['cold-climate performance', 'sizing'],
+    consensus: [{
+      point: 'Heat pumps keep working below freezing',
+      citations: ids.map(id => ({ sourceId: id, quote: quotes[id] ?? 'keep working' })),
+    }],
+    contradictions: [],
+    sources: ids.map(id => ({ id, label: `Source ${id + 1}`, summary: `Summary of source ${id + 1}.`, quality: 'high' })),
+    confidence: 0.8,
+    ...overrides,
+  });
+}
+
+module.exports = { startApp, modelOutput };
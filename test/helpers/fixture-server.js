@@ -0,0 +1,90 @@
+/**
+ * Fixture web server for URL sources in tests.
+ *
+ *   /article.html   article page with navigation, metadata and an ETag
+ *   /notes.txt      plain text
+ *   /redirect       302 to /article.html
+ *   /missing        404
+ *   /image.png      non-text content type
+ *   /flaky          503 for the first `flakyFailures` requests, then plain text
+ *   /always-503     503 every time
+ *
+ * `hits` counts requests per path.
+ */
+
+const http = require('http');
+
+const ARTICLE = `<!DOCTYPE html>
+<html>
+<head>
+  <title>Fallback title</title>
+  <meta property="og:title" content="Heat Pumps in Cold Climates">
+  <meta name="author" content="Jane Doe">
+  <meta property="article:published_time" content="2024-03-01T09:00:00Z">
+  <meta property="og:site_name" content="Energy Weekly">
+</head>
+<body>
+  <nav><a href="/">Home</a> <a href="/about">About</a> <a href="/subscribe">Subscribe to our newsletter</a></nav>
+  <article>
+    <h1>Heat Pumps in Cold Climates</h1>
+    <p>Modern air-source heat pumps keep working well below freezing. Field trials in Norway measured a seasonal
+    coefficient of performance above 2.5 even in winters that regularly dropped to minus twenty degrees.</p>
+    <p>Installers report that sizing and insulation matter more than outdoor temperature. Undersized units fall back
+    to resistive heating, which is where most of the disappointing results in earlier studies came from.</p>
+    <p>Running costs depend on the ratio of electricity to gas prices, which differs a lot between countries.</p>
+  </article>
+  <footer>Copyright Energy Weekly. All rights reserved.</footer>
+</body>
+</html>`;
+
+const NOTES = 'Field notes: heat pump owners in Quebec said their systems needed backup heat during the coldest week of the year, '
+  + 'but overall bills fell by about a third compared with oil heating.';
+
+function startFixtureServer({ flakyFailures = 2 } = {}) {
+  const fixtures = { url: null, hits: {} };
+
+  const server = http.createServer((req, res) => {
+    fixtures.hits[req.url] = (fixtures.hits[req.url] || 0) + 1;
+    switch (req.url) {
+      case '/article.html':
+        if (req.headers['if-none-match'] === '"article-v1"') {
+          res.writeHead(304);
+          return res.end();
+        }
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', ETag: '"article-v1"' });
+        return res.end(ARTICLE);
+      case '/notes.txt':
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        return res.end(NOTES);
+      case '/redirect':
+        res.writeHead(302, { Location: '/article.html' });
+        return res.end();
+      case '/image.png':
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        return res.end(Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+      case '/flaky':
+        if (fixtures.hits[req.url] <= flakyFailures) {
+          res.writeHead(503);
+          return res.end('try again');
+        }
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        return res.end(NOTES);
+      case '/always-503':
+        res.writeHead(503);
+        return res.end('down');
+      default:
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        return res.end('not found');
+    }
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      fixtures.url = `http://127.0.0.1:${server.address().port}`;
+      fixtures.close = () => new Promise(done => server.close(done));
+      resolve(fixtures);
+    });
+  });
+}
+
+module.exports = { startFixtureServer, ARTICLE, NOTES };
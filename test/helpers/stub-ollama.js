@@ -0,0 +1,82 @@
+/**
+ * Stub Ollama server for tests.
+ *
+ * /api/generate answers from a queue of canned replies, in order; when the queue
+ * is empty it answers with `fallback`. A reply is either a string (the model's
+ * text), { status, error } for an HTTP error, or a function that gets the
+ * request body and returns one of those. Streaming requests get the text
+ * back as NDJSON chunks, like the real server, with token counts derived from
+ * the text lengths. Every request body is recorded in `requests`.
+ *
+ * /api/show reports `contextLength` as the model's context length, or answers
+ * 404 when it is null.
+ */
+
+const http = require('http');
+
+function startStubOllama({ models = ['test-model'], contextLength = 8192 } = {}) {
+  const stub = {
+    url: null,
+    requests: [],
+    replies: [],
+    fallback: null,
+    contextLength,
+    // Queue canned replies for the next /api/generate calls
+    reply(...replies) {
+      stub.replies.push(...replies);
+    },
+    reset() {
+      stub.requests.length = 0;
+      stub.replies.length = 0;
+      stub.fallback = null;
+    },
+  };
+
+  const server = http.createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+
+    if (req.url === '/api/tags') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ models: models.map(name => ({ name })) }));
+    }
+    if (req.url === '/api/show' && stub.contextLength) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ model_info: { 'general.architecture': 'test', 'test.context_length': stub.contextLength } }));
+    }
+    if (req.url !== '/api/generate') {
+      res.writeHead(404);
+      return res.end();
+    }
+
+    const request = JSON.parse(body);
+    stub.requests.push(request);
+    let reply = stub.replies.length ? stub.replies.shift() : stub.fallback;
+    if (typeof reply === 'function') reply = reply(request);
+    if (reply === null || typeof reply === 'object') {
+      res.writeHead(reply?.status || 500, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ error: reply?.error || 'no canned reply' }));
+    }
+
+    res.writeHead(200, { 'Content-Type': request.stream ? 'application/x-ndjson' : 'application/json' });
+    // Rough token counts, reported on the final object like Ollama does
+    const counts = { prompt_eval_count: Math.ceil(request.prompt.length / 4), eval_count: Math.ceil(reply.length / 4) };
+    if (!request.stream) {
+      return res.end(JSON.stringify({ model: request.model, response: reply, done: true, ...counts }));
+    }
+    for (let i = 0; i < reply.length; i += 20) {
+      res.write(`${JSON.stringify({ model: request.model, response: reply.slice(i, i + 20), done: false })}\n`);
+    }
+    res.end(`${JSON.stringify({ model: request.model, response: '', done: true, ...counts })}\n`);
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      stub.url = `http://127.0.0.1:${server.address().port}`;
+      stub.close = () => new Promise(done => server.close(done));
+      resolve(stub);
+    });
+  });
+}
+
+module.exports = { startStubOllama };
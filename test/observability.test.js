@@ -0,0 +1,132 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, modelOutput } = require('./helpers/app');
+
+const SOURCES = [
+  { type: 'text', label: 'Field trial', content: 'Modern heat pumps keep working well below freezing, the Norwegian trial found.' },
+  { type: 'text', label: 'Owner survey', content: 'Owners said their heat pumps keep working, but needed backup heat in the coldest week.' },
+];
+
+// Capture the JSON log lines instead of printing them
+const logs = [];
+const write = process.stdout.write.bind(process.stdout);
+
+let ctx;
+before(async () => {
+  ctx = await startApp({ LOG_LEVEL: 'debug' });
+  process.stdout.write = (chunk, ...rest) => {
+    if (String(chunk).startsWith('{"time"')) {
+      logs.push(JSON.parse(chunk));
+      return true;
+    }
+    return write(chunk, ...rest);
+  };
+});
+after(async () => {
+  process.stdout.write = write;
+  await ctx.close();
+});
+beforeEach(() => {
+  ctx.ollama.reset();
+  logs.length = 0;
+});
+
+const synthesize = (headers = {}) => ctx.post('/synthesize', { sources: SOURCES, cache: 'bypass' }, headers);
+
+// The response's 'close' event (which logs the request) can land just after the
+// client has the body, so poll until `check()` passes. Resolves with its value.
+async function waitFor(check, { timeoutMs = 5000 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for the request to be logged');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+const metricsText = async () => (await fetch(`${ctx.baseUrl}/metrics`)).text();
+
+function metricValue(text, line) {
+  const match = text.split('\n').find(l => l.startsWith(`${line} `));
+  return match === undefined ? undefined : Number(match.slice(line.length + 1));
+}
+
+test('returns a request id and logs it with every line for that request', async () => {
+  ctx.ollama.reply(modelOutput([0, 1]));
+  const res = await synthesize();
+  const id = res.headers.get('x-request-id');
+  assert.match(id, /^[0-9a-f-]{36}$/);
+  await waitFor(() => logs.some(l => l.requestId === id && l.msg === 'Request completed'));
+
+  const mine = logs.filter(l => l.requestId === id);
+  assert.deepEqual(mine.map(l => l.msg), ['LLM call', 'Synthesis completed', 'Request completed']);
+  const done = mine.at(-1);
+  assert.equal(done.level, 'info');
+  assert.equal(done.route, '/synthesize');
+  assert.equal(done.status, 200);
+  assert.equal(typeof done.durationMs, 'number');
+  assert.ok(mine[0].promptTokens > 0);
+});
+
+test('keeps a caller-supplied request id and replaces unusable ones', async () => {
+  ctx.ollama.reply(modelOutput([0, 1]), modelOutput([0, 1]));
+  const kept = await synthesize({ 'X-Request-Id': 'trace-abc.123' });
+  assert.equal(kept.headers.get('x-request-id'), 'trace-abc.123');
+  const replaced = await synthesize({ 'X-Request-Id': 'has spaces and "quotes"' });
+  assert.match(replaced.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+});
+
+test('breaks processingTimeMs down by stage', async () => {
+  // A repair retry makes two rounds of waiting on the model and parsing its answer
+  ctx.ollama.reply('not json', modelOutput([0, 1]));
+  const { body } = await synthesize();
+  assert.equal(body.validation.retries, 1);
+  assert.deepEqual(Object.keys(body.timings), ['fetchMs', 'condenseMs', 'llmMs', 'parseMs']);
+  for (const ms of Object.values(body.timings)) assert.ok(Number.isInteger(ms) && ms >= 0);
+  const total = Object.values(body.timings).reduce((a, b) => a + b, 0);
+  assert.ok(total <= body.processingTimeMs, JSON.stringify({ ...body.timings, processingTimeMs: body.processingTimeMs }));
+});
+
+test('logs failed validation at warn level', async () => {
+  ctx.ollama.reply('not json', modelOutput([0, 1]));
+  await synthesize();
+  const warning = logs.find(l => l.msg === 'LLM output failed validation');
+  assert.equal(warning.level, 'warn');
+  assert.deepEqual(warning.errors, ['response is not valid JSON']);
+});
+
+test('exposes request, fetch, LLM and parse metrics in Prometheus format', async () => {
+  const before = await metricsText();
+  const requests = metricValue(before, 'research_synth_http_requests_total{method="POST",route="/synthesize",status="200"}') || 0;
+  const parseFailures = metricValue(before, 'research_synth_llm_parse_failures_total{reason="schema"}') || 0;
+
+  ctx.ollama.reply(modelOutput([0, 1], { confidence: 'high' }), modelOutput([0, 1]));
+  await synthesize();
+  await ctx.post('/synthesize', { sources: [{ type: 'url', content: `${ctx.fixtures.url}/missing` }, SOURCES[0]], cache: 'bypass' });
+  const text = await waitFor(async () => {
+    const t = await metricsText();
+    return metricValue(t, 'research_synth_http_requests_total{method="POST",route="/synthesize",status="200"}') === requests + 1
+      && metricValue(t, 'research_synth_http_requests_total{method="POST",route="/synthesize",status="422"}') === 1
+      && t;
+  });
+
+  const res = await fetch(`${ctx.baseUrl}/metrics`);
+  assert.match(res.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+
+  assert.match(text, /# TYPE research_synth_http_requests_total counter/);
+  assert.equal(metricValue(text, 'research_synth_http_requests_total{method="POST",route="/synthesize",status="200"}'), requests + 1);
+  assert.equal(metricValue(text, 'research_synth_http_requests_total{method="POST",route="/synthesize",status="422"}'), 1);
+  assert.equal(metricValue(text, 'research_synth_llm_parse_failures_total{reason="schema"}'), parseFailures + 1);
+  assert.equal(metricValue(text, 'research_synth_fetch_duration_seconds_count{status="404"}'), 1);
+  assert.ok(metricValue(text, 'research_synth_llm_request_duration_seconds_count{provider="ollama",model="test-model",outcome="ok"}') >= 2);
+  assert.ok(metricValue(text, 'research_synth_llm_prompt_tokens_sum{provider="ollama",model="test-model"}') > 0);
+  assert.ok(metricValue(text, 'research_synth_llm_response_tokens_bucket{provider="ollama",model="test-model",le="+Inf"}') >= 2);
+  assert.ok(metricValue(text, 'research_synth_stage_duration_seconds_count{stage="fetch"}') >= 1);
+});
+
+test('counts requests that matched no route under "other"', async () => {
+  await fetch(`${ctx.baseUrl}/no-such-page`);
+  await waitFor(async () =>
+    metricValue(await metricsText(), 'research_synth_http_requests_total{method="GET",route="other",status="404"}') >= 1);
+});
@@ -0,0 +1,125 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, modelOutput } = require('./helpers/app');
+
+const SOURCES = [
+  { type: 'text', label: 'Field trial', content: 'Modern heat pumps keep working well below freezing, the Norwegian trial found.' },
+  { type: 'text', label: 'Owner survey', content: 'Owners said their heat pumps keep working, but needed backup heat in the coldest week.' },
+];
+
+let ctx;
+before(async () => { ctx = await startApp(); });
+after(() => ctx.close());
+beforeEach(() => ctx.ollama.reset());
+
+const isExtraction = request => request.prompt.includes('You are reading one research source');
+
+// Answers an extraction prompt for whichever source it carries. The extraction
+// calls run concurrently, so their order at the stub is not fixed.
+function extraction(request, overrides = {}) {
+  const id = Number(request.prompt.match(/\(id: (\d+)\)/)[1]);
+  return JSON.stringify({
+    summary: `Extracted summary of source ${id + 1}.`,
+    quality: id === 0 ? 'high' : 'medium',
+    claims: [
+      { claim: 'Heat pumps work in the cold', quote: 'heat pumps keep working' },
+      { claim: 'Made up', quote: 'this is not in the source' },
+    ],
+    entities: [{ name: id === 0 ? 'Norwegian trial' : 'Owners', type: id === 0 ? 'event' : 'person' }],
+    ...overrides,
+  });
+}
+
+const SYNTHESIS = JSON.stringify({ ...JSON.parse(modelOutput([0, 1])), sources: undefined });
+
+// Extraction prompts (and repair prompts for them) get `extract(request)`, the synthesis prompt SYNTHESIS
+const answer = (extract = extraction) => request => (isExtraction(request) ? extract(request) : SYNTHESIS);
+
+const synthesize = (body = {}) => ctx.post('/synthesize', { sources: SOURCES, cache: 'bypass', mode: 'pipeline', ...body });
+
+test('extracts each source in its own call before the cross-source synthesis', async () => {
+  ctx.ollama.fallback = answer();
+  const res = await synthesize({ topic: 'heat pumps in winter' });
+  assert.equal(res.status, 200, res.text);
+
+  const [first, second, last] = ctx.ollama.requests;
+  assert.ok(isExtraction(first) && isExtraction(second));
+  assert.deepEqual([first, second].map(r => r.prompt.match(/\(id: (\d+)\)/)[1]).sort(), ['0', '1']);
+  assert.equal(first.format.title, 'SourceExtractionModelOutput');
+  assert.equal(last.format.title, 'PipelineSynthesisModelOutput');
+
+  // The synthesis prompt carries the extractions, not the source text, and
+  // leaves out claims whose quote is not in the source
+  assert.match(last.prompt, /Summary: Extracted summary of source 1\./);
+  assert.match(last.prompt, /Quote: "heat pumps keep working"/);
+  assert.doesNotMatch(last.prompt, /this is not in the source/);
+  assert.doesNotMatch(last.prompt, /Norwegian trial found/);
+
+  const { body } = res;
+  assert.equal(body.mode, 'pipeline');
+  assert.equal(body.validation.valid, true);
+  assert.deepEqual(body.extractions.map(e => e.sourceId), [0, 1]);
+  const [trial] = body.extractions;
+  assert.equal(trial.label, 'Field trial');
+  assert.deepEqual(trial.claims.map(c => c.verified), [true, false]);
+  assert.deepEqual(trial.entities, [{ name: 'Norwegian trial', type: 'event' }]);
+  assert.deepEqual(trial.validation, { valid: true, retries: 0, errors: [] });
+  assert.deepEqual(body.sources.map(s => [s.summary, s.quality]),
+    [['Extracted summary of source 1.', 'high'], ['Extracted summary of source 2.', 'medium']]);
+  assert.equal(body.consensus[0].verified, true);
+  assert.ok(body.timings.extractMs >= 0);
+  assert.deepEqual(body.context.trimmedExtractions, []);
+});
+
+test('repairs an invalid extraction and defaults what is still wrong', async () => {
+  ctx.ollama.fallback = answer(request => extraction(request, { quality: 'excellent' }));
+  const res = await synthesize();
+  assert.equal(res.status, 200, res.text);
+
+  // MAX_REPAIR_RETRIES is 1 in the tests, so each extraction is sent back once
+  const repairs = ctx.ollama.requests.filter(r => r.prompt.includes('Your previous answer was'));
+  assert.equal(repairs.length, 2);
+  for (const e of res.body.extractions) {
+    assert.equal(e.quality, 'medium');
+    assert.equal(e.validation.valid, false);
+    assert.equal(e.validation.retries, 1);
+  }
+  assert.deepEqual(res.body.validation.defaultedFields.sort(), ['extractions[0].quality', 'extractions[1].quality']);
+  assert.deepEqual(res.body.sources.map(s => s.quality), ['medium', 'medium']);
+});
+
+test('leaves a failed extraction out of the synthesis when enough others succeed', async () => {
+  const id = request => request.prompt.match(/\(id: (\d+)\)/)[1];
+  ctx.ollama.fallback = answer(request => (id(request) === '1' ? 'Sorry, I cannot do that.' : extraction(request)));
+
+  // Both sources are needed by default
+  const failed = await synthesize();
+  assert.equal(failed.status, 500);
+  assert.equal(failed.body.error, 'Failed to parse LLM response');
+
+  ctx.ollama.requests.length = 0;
+  const res = await synthesize({ minSuccessfulSources: 1 });
+  assert.equal(res.status, 200, res.text);
+  const [trial, survey] = res.body.extractions;
+  assert.equal(trial.error, null);
+  assert.equal(survey.error, 'Failed to parse LLM response');
+  assert.deepEqual(survey.validation, { valid: false, retries: 1, errors: ['Failed to parse LLM response'] });
+  assert.deepEqual([survey.summary, survey.claims, survey.entities], ['', [], []]);
+  assert.deepEqual(res.body.validation.defaultedFields.sort(),
+    ['extractions[1].claims', 'extractions[1].entities', 'extractions[1].quality', 'extractions[1].summary']);
+
+  // Two tries for the failed source, one for the other, then the synthesis
+  assert.equal(ctx.ollama.requests.length, 4);
+  const last = ctx.ollama.requests.at(-1);
+  assert.match(last.prompt, /You are synthesizing 1 research sources/);
+  assert.doesNotMatch(last.prompt, /Owner survey/);
+});
+
+test('keeps the single-prompt flow as the default mode', async () => {
+  ctx.ollama.reply(modelOutput([0, 1]));
+  const res = await synthesize({ mode: undefined });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.mode, 'single');
+  assert.equal(res.body.extractions, undefined);
+  assert.equal(ctx.ollama.requests.length, 1);
+});
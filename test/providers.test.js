@@ -0,0 +1,19 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createProviderRegistry } = require('../lib/providers');
+
+const registry = models => createProviderRegistry({
+  enabled: ['ollama'],
+  defaultTemperature: 0.2,
+  maxTemperature: 1,
+  ollama: { url: 'http://127.0.0.1:1', defaultModel: 'default-model', models },
+});
+
+test('allows the default model even when the allowlist leaves it out', () => {
+  const llm = registry(['other-model']);
+  assert.deepEqual(llm.get('ollama').models, ['default-model', 'other-model']);
+  assert.deepEqual(llm.resolve().options, { provider: 'ollama', model: 'default-model', temperature: 0.2 });
+  assert.equal(llm.resolve({ model: 'other-model' }).options.model, 'other-model');
+  assert.match(llm.resolve({ model: 'unknown-model' }).error, /^model must be one of: default-model, other-model/);
+  assert.deepEqual(registry([]).get('ollama').models, ['default-model']);
+});
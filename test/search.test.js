@@ -0,0 +1,157 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startApp, modelOutput } = require('./helpers/app');
+const { pickResults, normalizeUrl } = require('../lib/search');
+
+// ─── lib/search ───────────────────────────────────────────────────────────────
+
+test('normalizeUrl ignores scheme, www, fragments, tracking parameters and trailing slashes', () => {
+  assert.equal(normalizeUrl('https://www.Example.com/a/?utm_source=x&b=2&a=1#top'), 'example.com/a?a=1&b=2');
+  assert.equal(normalizeUrl('http://example.com/a'), 'example.com/a');
+  assert.equal(normalizeUrl('ftp://example.com/a'), null);
+  assert.equal(normalizeUrl('not a url'), null);
+});
+
+test('pickResults keeps the top results, one per domain and URL', () => {
+  const seenUrls = new Set(['given.org/page']);
+  const picked = pickResults([
+    { url: 'https://a.com/1' },
+    { url: 'https://www.a.com/1?utm_medium=rss' },
+    { url: 'https://a.com/2' },
+    { url: 'https://given.org/page/' },
+    { url: 'mailto:someone@b.com' },
+    { url: 'https://b.com/1' },
+    { url: 'https://c.com/1' },
+  ], { limit: 2, seenUrls });
+  assert.deepEqual(picked.map(r => [r.rank, r.used, r.skipped]), [
+    [1, true, null],
+    [2, false, 'duplicate-url'],
+    [3, false, 'duplicate-domain'],
+    [4, false, 'duplicate-url'],
+    [5, false, 'invalid-url'],
+    [6, true, null],
+    [7, false, 'limit'],
+  ]);
+  assert.ok(seenUrls.has('b.com/1'));
+});
+
+// ─── Search sources ───────────────────────────────────────────────────────────
+
+const indexDir = fs.mkdtempSync(path.join(os.tmpdir(), 'research-synth-search-'));
+const INDEX = path.join(indexDir, 'index.json');
+
+let ctx;
+before(async () => {
+  ctx = await startApp({ SEARCH_BACKEND: 'local', SEARCH_LOCAL_FILE: INDEX });
+  // The fixture server answers on both names, which the search dedupes as two domains
+  const local = ctx.fixtures.url.replace('127.0.0.1', 'localhost');
+  fs.writeFileSync(INDEX, JSON.stringify([
+    { url: `${ctx.fixtures.url}/article.html`, title: 'Heat pumps in cold climates', content: 'How heat pumps cope with cold winters.' },
+    { url: `${ctx.fixtures.url}/article.html?utm_source=feed#top`, title: 'Heat pumps in cold climates', content: 'Same article, shared from a feed.' },
+    { url: `${ctx.fixtures.url}/redirect`, title: 'Heat pumps', content: 'The same site again.' },
+    { url: `${local}/notes.txt`, title: 'Field notes', content: 'Heat pump owners on the coldest week.' },
+    { url: `${local}/missing`, title: 'Bakery', content: 'Bread and cakes every morning.' },
+  ]));
+});
+after(async () => {
+  await ctx.close();
+  fs.rmSync(indexDir, { recursive: true, force: true });
+});
+beforeEach(() => ctx.ollama.reset());
+
+test('runs the search, dedupes the results and synthesizes the pages it picked', async () => {
+  ctx.ollama.reply(modelOutput([0, 1]));
+  const res = await ctx.post('/synthesize', {
+    sources: [{ type: 'search', content: 'heat pumps in cold weather', maxResults: 2 }],
+    cache: 'bypass',
+  });
+  assert.equal(res.status, 200, res.text);
+
+  const { sources, search } = res.body;
+  assert.deepEqual(sources.map(s => s.url), [
+    `${ctx.fixtures.url}/article.html`,
+    `${ctx.fixtures.url.replace('127.0.0.1', 'localhost')}/notes.txt`,
+  ]);
+  assert.equal(sources[1].error, null);
+
+  assert.equal(search.length, 1);
+  assert.equal(search[0].query, 'heat pumps in cold weather');
+  assert.equal(search[0].backend, 'local');
+  assert.deepEqual(search[0].results.map(r => [r.rank, r.used, r.skipped, r.sourceId]), [
+    [1, true, null, 0],
+    [2, false, 'duplicate-url', null],
+    [3, false, 'duplicate-domain', null],
+    [4, true, null, 1],
+  ]);
+  assert.equal(search[0].results[0].title, 'Heat pumps in cold climates');
+});
+
+test('skips results the request already has, and their domains, and numbers sources in request order', async () => {
+  ctx.ollama.reply(modelOutput([0, 1, 2]));
+  const res = await ctx.post('/synthesize', {
+    sources: [
+      { type: 'text', content: 'My own notes about heat pumps.' },
+      { type: 'search', content: 'heat pumps', maxResults: 2 },
+      { type: 'url', content: `${ctx.fixtures.url}/article.html` },
+    ],
+    cache: 'bypass',
+  });
+  assert.equal(res.status, 200, res.text);
+  const { sources, search } = res.body;
+  assert.deepEqual(sources.map(s => s.id), [0, 1, 2]);
+  assert.equal(sources[1].url, `${ctx.fixtures.url.replace('127.0.0.1', 'localhost')}/notes.txt`);
+  assert.deepEqual(search[0].results.slice(0, 4).map(r => [r.skipped, r.sourceId]),
+    [['duplicate-url', null], ['duplicate-url', null], ['duplicate-domain', null], [null, 1]]);
+});
+
+test('validates search sources against their result counts', async () => {
+  const cases = [
+    [[{ type: 'search', content: 'heat pumps', maxResults: 1 }], /at least 2 items \(a search source counts as its maxResults\)/],
+    [[{ type: 'search', content: 'heat pumps', maxResults: 9 }], /Maximum 8 sources/],
+    [[{ type: 'search', content: 'hp' }], /search query of 3–500 chars/],
+    [[{ type: 'search', content: 'heat pumps', maxResults: 1.5 }], /maxResults must be a positive integer/],
+  ];
+  for (const [sources, message] of cases) {
+    const res = await ctx.post('/synthesize', { sources });
+    assert.equal(res.status, 400, JSON.stringify(sources));
+    assert.match(res.body.error, message);
+  }
+});
+
+test('fails with 422 and the search report when too few results load', async () => {
+  const res = await ctx.post('/synthesize', { sources: [{ type: 'search', content: 'bakery bread' }], cache: 'bypass' });
+  assert.equal(res.status, 422);
+  assert.equal(res.body.error, 'Too few sources could be loaded');
+  assert.equal(res.body.required, 2);
+  assert.deepEqual(res.body.search[0].results.map(r => r.used), [true]);
+  assert.match(res.body.sources[0].error, /404/);
+  assert.equal(ctx.ollama.requests.length, 0);
+});
+
+test('counts a queued search source as its maxResults, and a finished job by what loaded', async () => {
+  ctx.ollama.reply(modelOutput([0, 1]));
+  const queued = await ctx.post('/jobs', {
+    sources: [{ type: 'search', content: 'heat pumps in cold weather', maxResults: 3 }],
+    cache: 'bypass',
+  });
+  assert.equal(queued.status, 202, queued.text);
+  assert.equal(queued.body.sourceCount, 3);
+
+  let job;
+  for (let i = 0; i < 500; i++) {
+    job = await (await fetch(`${ctx.baseUrl}/jobs/${queued.body.id}`)).json();
+    if (job.status !== 'queued' && job.status !== 'running') break;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.equal(job.status, 'completed', JSON.stringify(job.error));
+  assert.equal(job.sourceCount, 2);
+  assert.equal(job.result.sources.length, 2);
+});
+
+test('reports the search backend in /health', async () => {
+  const health = await (await fetch(`${ctx.baseUrl}/health`)).json();
+  assert.deepEqual(health.search, { backend: 'local', status: 'connected', url: null, pages: 5 });
+});
@@ -0,0 +1,244 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, modelOutput } = require('./helpers/app');
+
+const SOURCES = [
+  { type: 'text', label: 'Field trial', content: 'Modern heat pumps keep working well below freezing, the Norwegian trial found.' },
+  { type: 'text', label: 'Owner survey', content: 'Owners said their heat pumps keep working, but needed backup heat in the coldest week.' },
+];
+
+let ctx;
+before(async () => { ctx = await startApp(); });
+after(() => ctx.close());
+beforeEach(() => ctx.ollama.reset());
+
+const synthesize = (body = {}) => ctx.post('/synthesize', { sources: SOURCES, cache: 'bypass', ...body });
+
+// ─── Validation ───────────────────────────────────────────────────────────────
+
+test('rejects invalid requests with 400 before calling the model', async () => {
+  const cases = [
+    [{}, /sources must be an array of at least 2 items/],
+    [{ sources: [SOURCES[0]] }, /at least 2 items/],
+    [{ sources: Array(9).fill(SOURCES[0]) }, /Maximum 8 sources/],
+    [{ sources: [SOURCES[0], { type: 'pdf', content: 'some content here' }] }, /sources\[1\]\.type/],
+    [{ sources: [SOURCES[0], { type: 'text', content: 'short' }] }, /sources\[1\]\.content is required/],
+    [{ sources: [SOURCES[0], { type: 'file', content: 'not base64!' }] }, /must be base64-encoded/],
+    [{ sources: SOURCES, minSuccessfulSources: 3 }, /minSuccessfulSources must be an integer between 1 and 2/],
+    [{ sources: SOURCES, cache: 'never' }, /cache must be/],
+    [{ sources: SOURCES, mode: 'multi' }, /mode must be one of: single, pipeline/],
+    [{ sources: [SOURCES[0], { type: 'search', content: 'heat pumps' }] }, /search sources need a search backend/],
+    [{ sources: SOURCES, provider: 'nope' }, /provider/],
+    [{ sources: SOURCES, format: 'pdf' }, /format must be one of/],
+  ];
+  for (const [body, message] of cases) {
+    const res = await ctx.post('/synthesize', body);
+    assert.equal(res.status, 400, JSON.stringify(body));
+    assert.match(res.body.error, message);
+  }
+  assert.equal(ctx.ollama.requests.length, 0);
+});
+
+// ─── Response shape ───────────────────────────────────────────────────────────
+
+test('returns the synthesis with verified citations and per-source entries', async () => {
+  ctx.ollama.reply(modelOutput([0, 1], { quotes: { 0: 'keep working well below freezing', 1: 'a quote nobody wrote' } }));
+  const res = await synthesize({ topic: 'heat pumps' });
+
+  assert.equal(res.status, 200);
+  const r = res.body;
+  assert.equal(r.synthesis, 'Heat pumps work in cold climates when they are sized correctly.');
+  assert.deepEqual(r.keyThemes, ['cold-climate performance', 'sizing']);
+  assert.deepEqual(r.consensus, [{
+    point: 'Heat pumps keep working below freezing',
+    citations: [
+      { sourceId: 0, quote: 'keep working well below freezing', verified: true },
+      { sourceId: 1, quote: 'a quote nobody wrote', verified: false },
+    ],
+    verified: false,
+  }]);
+  assert.deepEqual(r.contradictions, []);
+  assert.equal(r.confidence, 0.8);
+  assert.equal(r.topic, 'heat pumps');
+  assert.equal(r.depth, 'brief');
+  assert.equal(r.sourceCount, 2);
+  assert.equal(typeof r.processingTimeMs, 'number');
+  assert.deepEqual(r.validation, { valid: true, retries: 0, errors: [], defaultedFields: [] });
+  assert.equal(r.llm.provider, 'ollama');
+  assert.equal(r.llm.model, 'test-model');
+  assert.equal(r.cache.mode, 'bypass');
+
+  assert.equal(r.sources.length, 2);
+  for (const [i, s] of r.sources.entries()) {
+    assert.equal(s.id, i);
+    assert.equal(s.label, SOURCES[i].label);
+    assert.equal(s.summary, `Summary of source ${i + 1}.`);
+    assert.equal(s.quality, 'high');
+    assert.equal(s.error, null);
+    assert.equal(s.fetchStatus.ok, true);
+    assert.equal(s.text, undefined);
+  }
+
+  // One streaming call, constrained by the output schema, with both sources in the prompt
+  assert.equal(ctx.ollama.requests.length, 1);
+  const [request] = ctx.ollama.requests;
+  assert.equal(request.model, 'test-model');
+  assert.equal(request.stream, true);
+  assert.equal(request.format.type, 'object');
+  assert.match(request.prompt, /Research Topic \/ Focus Question: heat pumps/);
+  assert.match(request.prompt, /--- SOURCE 1 \(id: 0\): Field trial ---/);
+  assert.match(request.prompt, /--- SOURCE 2 \(id: 1\): Owner survey ---/);
+});
+
+test('renders export formats', async () => {
+  ctx.ollama.reply(modelOutput([0, 1]));
+  const res = await synthesize({ format: 'markdown' });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/markdown/);
+  assert.match(res.text, /^# Research Synthesis/);
+  assert.match(res.text, /\*\*\[S2\]\*\* Owner survey/);
+});
+
+test('exports caller-supplied results without live script links or crashing on loose claims', async () => {
+  const result = {
+    synthesis: 'Heat pumps work.',
+    consensus: ['A bare string claim', { point: 'No citations here' }],
+    sources: [
+      { id: 0, label: 'Trap', url: 'javascript:alert(1)', summary: 'x', quality: 'low' },
+      { id: 1, label: 'Article', url: 'https://example.com/a', summary: 'y', quality: 'high' },
+    ],
+  };
+  const res = await ctx.post('/export?format=html', { result });
+  assert.equal(res.status, 200, res.text);
+  assert.doesNotMatch(res.text, /href="javascript:/);
+  assert.match(res.text, /<a href="https:\/\/example\.com\/a">Article<\/a>/);
+  assert.match(res.text, /<li>A bare string claim<\/li><li>No citations here<\/li>/);
+
+  const markdown = await ctx.post('/export?format=markdown', { result });
+  assert.equal(markdown.status, 200);
+  assert.doesNotMatch(markdown.text, /\]\(javascript:/);
+
+  const injected = await ctx.post('/export?format=html', {
+    result: {
+      ...result,
+      consensus: [{ point: 'Injected', citations: [{ sourceId: '"><img src=x onerror=alert(1)>', quote: 'q', verified: true }] }],
+      sources: [{ ...result.sources[1], id: '"><img src=x onerror=alert(2)>' }],
+    },
+  });
+  assert.equal(injected.status, 200);
+  assert.doesNotMatch(injected.text, /<img/);
+  assert.match(injected.text, /<a href="#S\?">\[S\?\]<\/a>/);
+  assert.match(injected.text, /<li id="S\?"><strong>\[S\?\]<\/strong>/);
+
+  const invalid = await ctx.post('/export', { result: { ...result, consensus: 'not a list' } });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.error, 'result.consensus must be an array');
+});
+
+test('streams progress, tokens and the result as server-sent events', async () => {
+  ctx.ollama.reply(modelOutput([0, 1]));
+  const res = await ctx.post('/synthesize/stream', { sources: SOURCES, cache: 'bypass' });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/event-stream/);
+
+  const events = res.text.trim().split('\n\n').map(block => {
+    const [, event, data] = block.match(/^event: (\w+)\ndata: (.*)$/s);
+    return { event, data: JSON.parse(data) };
+  });
+  assert.deepEqual(events.filter(e => e.event === 'source').map(e => e.data.id), [0, 1]);
+  assert.equal(events.filter(e => e.event === 'token').map(e => e.data.text).join(''), modelOutput([0, 1]));
+  assert.equal(events.at(-1).event, 'result');
+  assert.equal(events.at(-1).data.sources.length, 2);
+});
+
+// ─── extractJson fallbacks ────────────────────────────────────────────────────
+
+test('extracts JSON from a fenced code block', async () => {
+  ctx.ollama.reply(`Here you go:\n\`\`\`json\n${modelOutput([0, 1])}\n\`\`\`\nLet me know if you need more.`);
+  const res = await synthesize();
+  assert.equal(res.status, 200);
+  assert.equal(res.body.validation.retries, 0);
+  assert.equal(res.body.keyThemes.length, 2);
+});
+
+test('extracts a JSON object surrounded by prose', async () => {
+  ctx.ollama.reply(`Sure! The analysis is ${modelOutput([0, 1])} — hope that helps.`);
+  const res = await synthesize();
+  assert.equal(res.status, 200);
+  assert.equal(res.body.validation.retries, 0);
+  assert.equal(res.body.synthesis, 'Heat pumps work in cold climates when they are sized correctly.');
+});
+
+test('asks the model to repair malformed JSON', async () => {
+  ctx.ollama.reply('{"synthesis": "cut off mid-', modelOutput([0, 1]));
+  const res = await synthesize();
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.validation, { valid: true, retries: 1, errors: [], defaultedFields: [] });
+
+  assert.equal(ctx.ollama.requests.length, 2);
+  assert.match(ctx.ollama.requests[1].prompt, /Your previous answer was:\n\{"synthesis": "cut off mid-/);
+  assert.match(ctx.ollama.requests[1].prompt, /- response is not valid JSON/);
+});
+
+test('asks the model to repair output that does not match the schema', async () => {
+  ctx.ollama.reply(modelOutput([0, 1], { confidence: 'high' }), modelOutput([0, 1]));
+  const res = await synthesize();
+  assert.equal(res.status, 200);
+  assert.equal(res.body.validation.retries, 1);
+  assert.match(ctx.ollama.requests[1].prompt, /\/confidence/);
+});
+
+test('fails with 500 when no attempt returns JSON', async () => {
+  ctx.ollama.reply('I cannot help with that.', 'Still no JSON, sorry.');
+  const res = await synthesize();
+  assert.equal(res.status, 500);
+  assert.equal(res.body.error, 'Failed to parse LLM response');
+  assert.equal(res.body.raw, 'Still no JSON, sorry.');
+  assert.equal(res.body.retries, 1);
+  assert.equal(ctx.ollama.requests.length, 2);
+});
+
+test('does not cache answers that failed, so the request can be retried', async () => {
+  const body = { topic: 'Does a failed answer stick?', cache: 'default' };
+  ctx.ollama.reply('I cannot help with that.', 'Still no JSON, sorry.');
+  assert.equal((await synthesize(body)).status, 500);
+
+  ctx.ollama.reply(modelOutput([0, 1]));
+  const retry = await synthesize(body);
+  assert.equal(retry.status, 200);
+  assert.deepEqual(retry.body.cache.llm, { hits: 0, misses: 1 });
+
+  const again = await synthesize(body);
+  assert.deepEqual(again.body.cache.llm, { hits: 1, misses: 0 });
+  assert.equal(ctx.ollama.requests.length, 3);
+});
+
+test('falls back to defaults for fields that stay invalid after repair', async () => {
+  const broken = modelOutput([0, 1], { keyThemes: 'not a list', confidence: 7 });
+  ctx.ollama.reply(broken, broken);
+  const res = await synthesize();
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.keyThemes, []);
+  assert.equal(res.body.confidence, 0.7);
+  assert.equal(res.body.validation.valid, false);
+  assert.equal(res.body.validation.retries, 1);
+  assert.deepEqual(res.body.validation.defaultedFields, ['keyThemes', 'confidence']);
+  assert.ok(res.body.validation.errors.length > 0);
+});
+
+// ─── LLM errors ───────────────────────────────────────────────────────────────
+
+test('reports 503 when the model backend returns an HTTP error', async () => {
+  ctx.ollama.reply({ status: 500, error: 'model crashed' });
+  const res = await synthesize();
+  assert.equal(res.status, 503);
+  assert.equal(res.body.error, 'LLM unavailable');
+  assert.match(res.body.detail, /Ollama error: 500/);
+});
+
+test('reports 503 when the model is missing', async () => {
+  ctx.ollama.reply({ status: 404, error: 'model "test-model" not found' });
+  const res = await synthesize();
+  assert.equal(res.status, 503);
+  assert.match(res.body.detail, /Ollama error: 404/);
+});
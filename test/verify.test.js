@@ -0,0 +1,113 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app');
+
+const CLAIM = 'Heat pumps keep working below freezing';
+const SOURCES = [
+  { type: 'text', label: 'Field trial', content: 'Modern heat pumps keep working well below freezing, the Norwegian trial found.' },
+  { type: 'text', label: 'Bakery', content: 'The bakery sells bread and cakes every morning.' },
+];
+
+let ctx;
+before(async () => { ctx = await startApp(); });
+after(() => ctx.close());
+beforeEach(() => ctx.ollama.reset());
+
+const verify = (body = {}) => ctx.post('/verify', { claim: CLAIM, sources: SOURCES, cache: 'bypass', ...body });
+
+const TRIAL_SUPPORTS = { id: 0, verdict: 'supports', quotes: ['heat pumps keep working well below freezing'], explanation: 'The trial found it.' };
+
+function verdicts(overrides = {}) {
+  return JSON.stringify({
+    sources: [
+      TRIAL_SUPPORTS,
+      { id: 1, verdict: 'not_mentioned', quotes: [], explanation: 'About a bakery.' },
+    ],
+    verdict: 'supported',
+    confidence: 0.85,
+    explanation: 'The only source on the subject supports it.',
+    ...overrides,
+  });
+}
+
+test('rejects a missing claim or invalid sources with 400', async () => {
+  const cases = [
+    [{ claim: undefined }, /claim is required/],
+    [{ claim: 'hm' }, /claim is required/],
+    [{ claim: 'x'.repeat(1001) }, /claim is required/],
+    [{ sources: [] }, /at least 1 item/],
+    [{ sources: [{ type: 'pdf', content: 'some content here' }] }, /sources\[0\]\.type/],
+  ];
+  for (const [body, message] of cases) {
+    const res = await verify(body);
+    assert.equal(res.status, 400, JSON.stringify(body));
+    assert.match(res.body.error, message);
+  }
+  assert.equal(ctx.ollama.requests.length, 0);
+});
+
+test('returns a verdict per source and overall', async () => {
+  ctx.ollama.reply(verdicts());
+  const res = await verify();
+  assert.equal(res.status, 200, res.text);
+
+  const [request] = ctx.ollama.requests;
+  assert.match(request.prompt, /CLAIM: Heat pumps keep working below freezing/);
+  assert.equal(request.format.title, 'VerifyModelOutput');
+
+  const { body } = res;
+  assert.equal(body.claim, CLAIM);
+  assert.equal(body.verdict, 'supported');
+  assert.equal(body.confidence, 0.85);
+  assert.deepEqual(body.sources.map(s => [s.label, s.verdict, s.verified]),
+    [['Field trial', 'supports', true], ['Bakery', 'not_mentioned', true]]);
+  assert.deepEqual(body.sources[0].quotes, [{ quote: 'heat pumps keep working well below freezing', verified: true }]);
+  assert.deepEqual(body.validation, { valid: true, retries: 0, errors: [], defaultedFields: [] });
+  assert.deepEqual(Object.keys(body.timings), ['fetchMs', 'condenseMs', 'llmMs', 'parseMs']);
+});
+
+test('marks a verdict unverified when its quote is not in the source', async () => {
+  ctx.ollama.reply(verdicts({
+    sources: [
+      { id: 0, verdict: 'refutes', quotes: ['heat pumps stop working in the cold'], explanation: 'Made up.' },
+      { id: 1, verdict: 'not_mentioned', quotes: [], explanation: 'About a bakery.' },
+    ],
+    verdict: 'refuted',
+  }));
+  const { body } = await verify();
+  assert.equal(body.sources[0].verdict, 'refutes');
+  assert.equal(body.sources[0].verified, false);
+  assert.equal(body.sources[0].quotes[0].verified, false);
+});
+
+test('works from a single source', async () => {
+  ctx.ollama.reply(verdicts({ sources: [TRIAL_SUPPORTS] }));
+  const res = await verify({ sources: [SOURCES[0]] });
+  assert.equal(res.status, 200, res.text);
+  assert.match(ctx.ollama.requests[0].prompt, /against 1 source\./);
+  assert.deepEqual(res.body.sources.map(s => [s.label, s.verdict, s.verified]), [['Field trial', 'supports', true]]);
+  assert.equal(res.body.verdict, 'supported');
+  assert.equal(res.body.validation.valid, true);
+});
+
+test('reports sources that failed to load and goes ahead with a lower minSuccessfulSources', async () => {
+  ctx.ollama.reply(verdicts({ sources: [{ id: 1, verdict: 'supports', quotes: ['keep working'], explanation: 'Says so.' }] }));
+  const res = await verify({
+    sources: [{ type: 'url', content: `${ctx.fixtures.url}/missing` }, SOURCES[0]],
+    minSuccessfulSources: 1,
+  });
+  assert.equal(res.status, 200, res.text);
+  const [missing, trial] = res.body.sources;
+  assert.equal(missing.verdict, null);
+  assert.match(missing.error, /404/);
+  assert.equal(trial.verdict, 'supports');
+  assert.equal(trial.verified, true);
+});
+
+test('defaults an invalid overall verdict after the repair retry', async () => {
+  ctx.ollama.reply(verdicts({ verdict: 'probably' }), verdicts({ verdict: 'probably' }));
+  const { body } = await verify();
+  assert.equal(body.verdict, 'not_enough_evidence');
+  assert.equal(body.validation.valid, false);
+  assert.deepEqual(body.validation.defaultedFields, ['verdict']);
+});